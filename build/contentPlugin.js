@@ -0,0 +1,115 @@
+// build/contentPlugin.js
+// Validates content/portfolio.json and renders it into the HTML pages.
+//
+// A page marks where content goes with `<!-- content:<name> -->`:
+//   content:about, content:projects, content:contact  a section's heading and body
+//   content:nav                                       links to every section
+//   content:name                                      the owner's name
+import { readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { validateContent, ContentError } from '../js/modules/ContentSchema.js'
+
+const MARKER = /([ \t]*)<!--\s*content:([\w-]+)\s*-->/g
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const anchor = (url, label = url) =>
+  `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`
+
+const sectionBodies = {
+  about: (content) => [
+    ...content.bio.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    `<p>Skills: ${content.skills.map(escapeHtml).join(', ')}</p>`
+  ],
+
+  projects: (content) => [
+    '<ul>',
+    ...content.projects.map(project => [
+      '<li>',
+      `<h3>${project.url ? anchor(project.url, project.title) : escapeHtml(project.title)}</h3>`,
+      `<p>${escapeHtml(project.description)}</p>`,
+      project.tags && project.tags.length ? `<p>${project.tags.map(escapeHtml).join(' · ')}</p>` : '',
+      '</li>'
+    ].filter(Boolean).join('')),
+    '</ul>'
+  ],
+
+  contact: ({ contact }) => [
+    `<p>Email: <a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a></p>`,
+    ...(contact.links || []).map(({ label, url }) => `<p>${escapeHtml(label)}: ${anchor(url)}</p>`)
+  ]
+}
+
+export function renderMarker(content, name) {
+  if (name === 'name') {
+    return escapeHtml(content.name)
+  }
+  if (name === 'nav') {
+    return content.sections
+      .map(({ id, title }) => `<a href="#${id}">${escapeHtml(title)}</a>`)
+      .join('\n')
+  }
+
+  const section = content.sections.find(({ id }) => id === name)
+  if (!section || !sectionBodies[name]) {
+    throw new Error(`Unknown content marker "content:${name}"`)
+  }
+  return [`<h2>${escapeHtml(section.title)}</h2>`, ...sectionBodies[name](content)].join('\n')
+}
+
+export default function contentPlugin({ file = 'content/portfolio.json' } = {}) {
+  let path = resolve(file)
+
+  // Read fresh every time so edits show up without restarting the dev server
+  const load = () => {
+    let content
+    try {
+      content = JSON.parse(readFileSync(path, 'utf8'))
+    } catch (error) {
+      throw new ContentError([`${file}: ${error.message}`])
+    }
+    const errors = validateContent(content)
+    if (errors.length) {
+      throw new ContentError(errors)
+    }
+    return content
+  }
+
+  return {
+    name: 'portfolio-content',
+
+    configResolved(config) {
+      path = resolve(config.root, file)
+    },
+
+    // Fail the build before bundling starts
+    buildStart() {
+      this.addWatchFile(path)
+      load()
+    },
+
+    transformIndexHtml(html) {
+      const content = load()
+      // Rendered lines keep the marker's indentation
+      return html.replace(MARKER, (marker, indent, name) =>
+        indent + renderMarker(content, name).split('\n').join(`\n${indent}`))
+    },
+
+    // Pages are rendered from the content, so an edit reloads them
+    handleHotUpdate({ file: changed, server }) {
+      if (changed === path) {
+        try {
+          load()
+          server.ws.send({ type: 'full-reload' })
+        } catch (error) {
+          server.ws.send({ type: 'error', err: { message: error.message, stack: '' } })
+        }
+        return []
+      }
+    }
+  }
+}
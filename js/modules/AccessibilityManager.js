@@ -1,6 +1,13 @@
 // Accessibility Manager - Handles accessibility features and compliance
+import { I18n } from './I18n.js';
+
 export class AccessibilityManager {
-    constructor() {
+    constructor(app = null) {
+        // Owning app, used to reach the scene, scroll and terminal modules
+        this.app = app;
+        // Announcements are made in the page language
+        this.i18n = app && app.i18n ? app.i18n : new I18n();
+        
         // Accessibility state
         this.isScreenReaderActive = false;
         this.isHighContrastMode = false;
@@ -16,6 +23,21 @@ export class AccessibilityManager {
         this.liveRegion = null;
         this.statusRegion = null;
         
+        // Resources created at runtime, released in dispose()
+        this.injectedElements = [];
+        this.mutationObserver = null;
+        this.progressInterval = null;
+        
+        // Bound handlers so dispose() can remove them
+        this.handleGlobalKeydown = this.handleGlobalKeydown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        this.handleFocusOut = this.handleFocusOut.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleKeyboardDetection = this.handleKeyboardDetection.bind(this);
+        this.handleFocusTrap = this.handleFocusTrap.bind(this);
+        this.showFocusIndicator = this.showFocusIndicator.bind(this);
+        this.hideFocusIndicator = this.hideFocusIndicator.bind(this);
+        
         this.init();
     }
     
@@ -84,19 +106,22 @@ export class AccessibilityManager {
         }
         
         // Check if user is navigating with keyboard only
-        document.addEventListener('mousedown', () => {
-            this.isKeyboardNavigation = false;
-        });
-        
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Tab') {
-                this.isKeyboardNavigation = true;
-            }
-        });
+        document.addEventListener('mousedown', this.handleMouseDown);
+        document.addEventListener('keydown', this.handleKeyboardDetection);
         
         return false;
     }
     
+    handleMouseDown() {
+        this.isKeyboardNavigation = false;
+    }
+    
+    handleKeyboardDetection(event) {
+        if (event.key === 'Tab') {
+            this.isKeyboardNavigation = true;
+        }
+    }
+    
     setupLiveRegions() {
         // Create ARIA live region for announcements
         this.liveRegion = document.createElement('div');
@@ -115,23 +140,29 @@ export class AccessibilityManager {
         document.body.appendChild(this.statusRegion);
     }
     
+    injectElement(element, parent = document.body) {
+        parent.appendChild(element);
+        this.injectedElements.push(element);
+        return element;
+    }
+    
     setupKeyboardNavigation() {
         // Global keyboard event handlers
-        document.addEventListener('keydown', this.handleGlobalKeydown.bind(this));
+        document.addEventListener('keydown', this.handleGlobalKeydown);
         
         // Track focus for keyboard navigation
-        document.addEventListener('focusin', this.handleFocusIn.bind(this));
-        document.addEventListener('focusout', this.handleFocusOut.bind(this));
+        document.addEventListener('focusin', this.handleFocusIn);
+        document.addEventListener('focusout', this.handleFocusOut);
         
         // Update focusable elements list
         this.updateFocusableElements();
         
         // Re-scan for focusable elements when DOM changes
-        const observer = new MutationObserver(() => {
+        this.mutationObserver = new MutationObserver(() => {
             this.updateFocusableElements();
         });
         
-        observer.observe(document.body, {
+        this.mutationObserver.observe(document.body, {
             childList: true,
             subtree: true,
             attributes: true,
@@ -227,18 +258,21 @@ export class AccessibilityManager {
     }
     
     handleEscapeKey(event) {
+        // The terminal used this Escape already (reverse search, vi normal mode, the pager...)
+        if (event.defaultPrevented) return;
+        
         // Global escape key handling
-        if (window.portfolioApp) {
+        if (this.app) {
             // Exit tour mode
-            if (window.portfolioApp.sceneManager && window.portfolioApp.sceneManager.isTourMode) {
-                window.portfolioApp.sceneManager.exitTourMode();
-                this.announce('Exited tour mode');
+            if (this.app.sceneManager && this.app.sceneManager.isTourMode) {
+                this.app.sceneManager.exitTourMode();
+                this.announce(this.i18n.t('a11y.tourExited'));
             }
             
             // Minimize terminal
-            else if (window.portfolioApp.terminalUI && !window.portfolioApp.terminalUI.isMinimized) {
-                window.portfolioApp.terminalUI.minimize();
-                this.announce('Terminal minimized');
+            else if (this.app.terminalUI && !this.app.terminalUI.isMinimized) {
+                this.app.terminalUI.minimize();
+                this.announce(this.i18n.t('a11y.terminalMinimized'));
             }
         }
     }
@@ -267,21 +301,20 @@ export class AccessibilityManager {
     
     handle3DSceneNavigation(key) {
         // Provide keyboard navigation for 3D scene
-        if (window.portfolioApp && window.portfolioApp.sceneManager) {
-            const sceneManager = window.portfolioApp.sceneManager;
+        if (this.app && this.app.sceneManager) {
             
             switch (key) {
                 case 'ArrowUp':
-                    this.announce('Moving forward in scene');
+                    this.announce(this.i18n.t('a11y.moveForward'));
                     break;
                 case 'ArrowDown':
-                    this.announce('Moving backward in scene');
+                    this.announce(this.i18n.t('a11y.moveBackward'));
                     break;
                 case 'ArrowLeft':
-                    this.announce('Moving left in scene');
+                    this.announce(this.i18n.t('a11y.moveLeft'));
                     break;
                 case 'ArrowRight':
-                    this.announce('Moving right in scene');
+                    this.announce(this.i18n.t('a11y.moveRight'));
                     break;
             }
         }
@@ -326,10 +359,8 @@ export class AccessibilityManager {
         
         // Add role information
         const role = element.getAttribute('role') || element.tagName.toLowerCase();
-        if (role === 'button') {
-            announcement += ', button';
-        } else if (role === 'link') {
-            announcement += ', link';
+        if (announcement && (role === 'button' || role === 'link')) {
+            announcement = this.i18n.t(`a11y.${role}`, { label: announcement });
         }
         
         // Announce if we have content
@@ -350,30 +381,32 @@ export class AccessibilityManager {
     
     setupFocusTrap() {
         // Implement focus trap for terminal when in focus mode
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Tab') {
-                const terminalOverlay = document.getElementById('terminal-overlay');
-                if (terminalOverlay && terminalOverlay.contains(document.activeElement)) {
-                    // Keep focus within terminal
-                    const focusableInTerminal = terminalOverlay.querySelectorAll(
-                        'input, button, [tabindex]:not([tabindex="-1"])'
-                    );
-                    
-                    if (focusableInTerminal.length > 0) {
-                        const firstFocusable = focusableInTerminal[0];
-                        const lastFocusable = focusableInTerminal[focusableInTerminal.length - 1];
-                        
-                        if (event.shiftKey && document.activeElement === firstFocusable) {
-                            event.preventDefault();
-                            lastFocusable.focus();
-                        } else if (!event.shiftKey && document.activeElement === lastFocusable) {
-                            event.preventDefault();
-                            firstFocusable.focus();
-                        }
-                    }
+        document.addEventListener('keydown', this.handleFocusTrap);
+    }
+    
+    handleFocusTrap(event) {
+        if (event.key !== 'Tab') return;
+        
+        const terminalOverlay = document.getElementById('terminal-overlay');
+        if (terminalOverlay && terminalOverlay.contains(document.activeElement)) {
+            // Keep focus within terminal
+            const focusableInTerminal = terminalOverlay.querySelectorAll(
+                'input, button, [tabindex]:not([tabindex="-1"])'
+            );
+            
+            if (focusableInTerminal.length > 0) {
+                const firstFocusable = focusableInTerminal[0];
+                const lastFocusable = focusableInTerminal[focusableInTerminal.length - 1];
+                
+                if (event.shiftKey && document.activeElement === firstFocusable) {
+                    event.preventDefault();
+                    lastFocusable.focus();
+                } else if (!event.shiftKey && document.activeElement === lastFocusable) {
+                    event.preventDefault();
+                    firstFocusable.focus();
                 }
             }
-        });
+        }
     }
     
     setupFocusIndicators() {
@@ -381,9 +414,9 @@ export class AccessibilityManager {
         const style = document.createElement('style');
         style.textContent = `
             .accessibility-focus-visible {
-                outline: 3px solid #00ff41 !important;
+                outline: 3px solid var(--theme-accent) !important;
                 outline-offset: 2px !important;
-                box-shadow: 0 0 0 2px rgba(0, 255, 65, 0.3) !important;
+                box-shadow: 0 0 0 2px var(--theme-accent-muted) !important;
             }
             
             /* High contrast mode styles */
@@ -394,18 +427,21 @@ export class AccessibilityManager {
                 }
             }
         `;
-        document.head.appendChild(style);
+        this.injectElement(style, document.head);
         
         // Apply focus indicators
-        document.addEventListener('focusin', (event) => {
-            if (this.isKeyboardNavigation) {
-                event.target.classList.add('accessibility-focus-visible');
-            }
-        });
-        
-        document.addEventListener('focusout', (event) => {
-            event.target.classList.remove('accessibility-focus-visible');
-        });
+        document.addEventListener('focusin', this.showFocusIndicator);
+        document.addEventListener('focusout', this.hideFocusIndicator);
+    }
+    
+    showFocusIndicator(event) {
+        if (this.isKeyboardNavigation) {
+            event.target.classList.add('accessibility-focus-visible');
+        }
+    }
+    
+    hideFocusIndicator(event) {
+        event.target.classList.remove('accessibility-focus-visible');
     }
     
     setupScreenReaderSupport() {
@@ -438,21 +474,21 @@ export class AccessibilityManager {
             <p>You can also use terminal commands for navigation. Type "help" in the terminal for available commands.</p>
         `;
         
-        document.body.appendChild(sceneDescription);
+        this.injectElement(sceneDescription);
     }
     
     setupProgressAnnouncements() {
         // Announce progress changes
-        if (window.portfolioApp && window.portfolioApp.scrollController) {
+        if (this.app && this.app.scrollController) {
             // Monitor scroll progress changes
             let lastAnnouncedProgress = -1;
             
-            setInterval(() => {
-                if (window.portfolioApp.scrollController) {
-                    const progress = Math.round(window.portfolioApp.scrollController.getScrollProgress() * 100);
+            this.progressInterval = setInterval(() => {
+                if (this.app.scrollController) {
+                    const progress = Math.round(this.app.scrollController.getScrollProgress() * 100);
                     
                     if (progress !== lastAnnouncedProgress && progress % 25 === 0) {
-                        this.announce(`Portfolio exploration ${progress}% complete`);
+                        this.announce(this.i18n.t('a11y.progress', { percent: progress }));
                         lastAnnouncedProgress = progress;
                     }
                 }
@@ -476,7 +512,7 @@ export class AccessibilityManager {
             </div>
         `;
         
-        document.body.appendChild(navigationHelp);
+        this.injectElement(navigationHelp);
     }
     
     setupHighContrastSupport() {
@@ -505,7 +541,7 @@ export class AccessibilityManager {
                     color: #ffff00 !important;
                 }
             `;
-            document.head.appendChild(highContrastStyle);
+            this.injectElement(highContrastStyle, document.head);
         }
     }
     
@@ -522,7 +558,7 @@ export class AccessibilityManager {
                     transition-duration: 0.01ms !important;
                 }
                 
-                .reduced-motion #main-canvas {
+                .reduced-motion #scene {
                     opacity: 0.5;
                 }
                 
@@ -530,10 +566,10 @@ export class AccessibilityManager {
                     animation: none !important;
                 }
             `;
-            document.head.appendChild(reducedMotionStyle);
+            this.injectElement(reducedMotionStyle, document.head);
             
             // Inform user about reduced motion
-            this.announce('Animations have been reduced based on your system preferences');
+            this.announce(this.i18n.t('a11y.reducedMotion'));
         }
     }
     
@@ -579,7 +615,7 @@ export class AccessibilityManager {
         const mainContent = document.querySelector('main, #main-content, #content');
         if (mainContent) {
             mainContent.focus();
-            this.announce('Skipped to main content');
+            this.announce(this.i18n.t('a11y.skipped'));
         }
     }
     
@@ -601,6 +637,24 @@ export class AccessibilityManager {
         document.removeEventListener('keydown', this.handleGlobalKeydown);
         document.removeEventListener('focusin', this.handleFocusIn);
         document.removeEventListener('focusout', this.handleFocusOut);
+        document.removeEventListener('mousedown', this.handleMouseDown);
+        document.removeEventListener('keydown', this.handleKeyboardDetection);
+        document.removeEventListener('keydown', this.handleFocusTrap);
+        document.removeEventListener('focusin', this.showFocusIndicator);
+        document.removeEventListener('focusout', this.hideFocusIndicator);
+        
+        // Stop observers and timers
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+        
+        if (this.progressInterval) {
+            clearInterval(this.progressInterval);
+        }
+        
+        // Remove injected styles and descriptions
+        this.injectedElements.forEach(element => element.remove());
+        this.injectedElements = [];
         
         // Remove live regions
         if (this.liveRegion && this.liveRegion.parentNode) {
@@ -0,0 +1,496 @@
+// App - Boots the portfolio modules in dependency order and wires them together
+import { EventEmitter } from './EventEmitter.js';
+import { SceneManager } from './SceneManager.js';
+import { TerminalUI } from './TerminalUI.js';
+import { ScrollController } from './ScrollController.js';
+import { MobileController } from './MobileController.js';
+import { AccessibilityManager } from './AccessibilityManager.js';
+import { ThemeManager } from './ThemeManager.js';
+import { I18n } from './I18n.js';
+import { Router } from './Router.js';
+import { registerThemeCommands } from './commands/themeCommands.js';
+import { registerResumeCommands } from './commands/resumeCommands.js';
+import { registerContactCommands } from './commands/contactCommands.js';
+import { registerSearchCommands } from './commands/searchCommands.js';
+import { registerLangCommands } from './commands/langCommands.js';
+import { loadContent } from './Content.js';
+import { link, progressBar } from './RichText.js';
+
+// Which site section each laptop part opens
+export const PART_SECTIONS = {
+    screen: 'projects',
+    keyboard: 'about',
+    ports: 'contact',
+    battery: 'resume',
+    motherboard: 'whoami'
+};
+
+// Stops visited by the `tour` command; `message` is a key of the locale catalogs
+const TOUR_STOPS = [
+    { progress: 0.25, part: null, message: 'tour.lid' },
+    { progress: 0.65, part: 'keyboard', message: 'tour.keyboard' },
+    { progress: 0.65, part: 'screen', message: 'tour.screen' },
+    { progress: 0.65, part: 'ports', message: 'tour.ports' },
+    { progress: 1, part: 'battery', message: 'tour.battery' }
+];
+
+/**
+ * Owns every module of the computer friendly page. Modules that need one
+ * another receive either their direct dependencies or this app object, so
+ * nothing has to reach through `window`.
+ */
+export class App extends EventEmitter {
+    constructor() {
+        super();
+        
+        /** @type {object|null} Validated content/portfolio.json */
+        this.content = null;
+        /** @type {ThemeManager|null} */
+        this.themeManager = null;
+        /** @type {I18n|null} */
+        this.i18n = null;
+        /** @type {TerminalUI|null} */
+        this.terminalUI = null;
+        /** @type {SceneManager|null} */
+        this.sceneManager = null;
+        /** @type {ScrollController|null} */
+        this.scrollController = null;
+        /** @type {MobileController|null} Only created on touch devices */
+        this.mobileController = null;
+        /** @type {AccessibilityManager|null} */
+        this.accessibilityManager = null;
+        /** @type {Router|null} */
+        this.router = null;
+        
+        // State
+        this.isInitialized = false;
+        this.isTouring = false;
+        // Set while a link or Back/Forward is being restored, so the URL is left alone
+        this.isRestoringRoute = false;
+        
+        // Bound handlers so they can be removed again in dispose()
+        this.handlePartClick = this.handlePartClick.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleThemeChange = this.handleThemeChange.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+        this.handleNavigate = this.handleNavigate.bind(this);
+        this.handleScrollEnd = this.handleScrollEnd.bind(this);
+        this.handlePartFocus = this.handlePartFocus.bind(this);
+    }
+    
+    async init() {
+        try {
+            console.log('🚀 Booting portfolio...');
+            
+            // Everything the pages and commands show about me
+            this.content = loadContent();
+            
+            // Colours before anything is drawn
+            this.themeManager = new ThemeManager();
+            this.themeManager.init();
+            
+            // The saved language or the browser's, before any message is shown
+            this.i18n = new I18n();
+            this.i18n.init();
+            
+            // Terminal first so the page stays usable if WebGL fails later
+            this.terminalUI = new TerminalUI({ content: this.content, i18n: this.i18n });
+            await this.terminalUI.init();
+            
+            // 3D scene; without it the terminal and the pages still work
+            await this.initScene();
+            
+            // Mobile gestures only make sense on touch devices
+            if (this.isTouchDevice()) {
+                this.mobileController = new MobileController(this);
+            }
+            
+            // Accessibility last: it observes all other modules
+            this.accessibilityManager = new AccessibilityManager(this);
+            
+            // The URL follows the section, the scroll progress and the focused part
+            this.router = new Router({
+                sections: this.content.sections.map(({ id }) => id),
+                parts: Object.keys(PART_SECTIONS)
+            });
+            const route = this.router.start();
+            
+            // Wire modules together
+            this.setupEventListeners();
+            this.registerCommands();
+            
+            // Opened from a shared link
+            if (window.location.hash) {
+                this.applyRoute(route);
+            }
+            
+            this.isInitialized = true;
+            this.emit('ready', this);
+            console.log('✅ Portfolio ready');
+            
+            // ~/.portfoliorc may use any command, including the ones registered above
+            await this.terminalUI.runStartupScript();
+            await this.terminalUI.showWelcomeMessage();
+            
+        } catch (error) {
+            console.error('❌ Failed to boot portfolio:', error);
+            throw error;
+        }
+    }
+    
+    // A WebGL or model failure leaves the scene and the scroll controller null
+    async initScene() {
+        try {
+            this.sceneManager = new SceneManager({ partSections: PART_SECTIONS });
+            await this.sceneManager.init();
+            
+            // Scroll drives the scene and reports to the terminal
+            this.scrollController = new ScrollController(this.sceneManager, this.terminalUI, this.i18n);
+        } catch (error) {
+            console.error('❌ 3D view unavailable:', error);
+            if (this.sceneManager) {
+                this.sceneManager.dispose();
+            }
+            this.sceneManager = null;
+            this.scrollController = null;
+        }
+    }
+    
+    // Commands that move the laptop fail with a message when the scene could not be built
+    isSceneMissing(command, io) {
+        if (this.sceneManager) {
+            return false;
+        }
+        io.stderr.write(`${command}: 3D view unavailable`);
+        return true;
+    }
+    
+    isTouchDevice() {
+        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    }
+    
+    setupEventListeners() {
+        this.themeManager.on('change', this.handleThemeChange);
+        this.i18n.on('change', this.handleLocaleChange);
+        this.router.on('navigate', this.handleNavigate);
+        
+        if (this.sceneManager) {
+            this.sceneManager.on('partClick', this.handlePartClick);
+            this.sceneManager.on('partFocus', this.handlePartFocus);
+            this.scrollController.on('scrollend', this.handleScrollEnd);
+            
+            // The scene was built with the default colours
+            this.sceneManager.setThemeColors(this.themeManager.get(this.themeManager.current).scene);
+        }
+        
+        window.addEventListener('resize', this.handleResize);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    
+    // Terminal commands that drive the scene and the page sections
+    registerCommands() {
+        const terminal = this.terminalUI;
+        
+        terminal.registerCommand('tour', {
+            description: 'Start interactive 3D tour',
+            manual: [
+                'Scrolls through the laptop and stops at every part with a short',
+                'explanation. Press Ctrl+C or Escape to leave the tour early, or run',
+                'it with `tour &` to keep using the terminal meanwhile.'
+            ],
+            execute: (input, io) => (this.isSceneMissing('tour', io) ? 1 : this.startTour(io))
+        });
+        
+        terminal.registerCommand('about', {
+            description: 'Navigate to about section',
+            examples: [{ command: 'about | grep -i skills', description: 'Search the about page' }],
+            execute: (input, io) => this.showSection('about', io)
+        });
+        
+        terminal.registerCommand('projects', {
+            description: 'View projects portfolio',
+            examples: [{ command: 'projects | grep -i three', description: 'Find projects built with Three.js' }],
+            execute: (input, io) => this.showSection('projects', io)
+        });
+        
+        // Messages open the visitor's email app; pass `submit` to send them elsewhere
+        registerContactCommands(terminal, this.content, {
+            onShow: () => this.showSection('contact')
+        });
+        
+        registerResumeCommands(terminal, this.content, {
+            onShow: () => this.focusOnPart('battery')
+        });
+        
+        // Results link to the section command and the part that shows it
+        registerSearchCommands(terminal, this.content, {
+            partFor: command => this.getPartForSection(command)
+        });
+        
+        registerThemeCommands(terminal, this.themeManager);
+        registerLangCommands(terminal, this.i18n);
+        
+        terminal.registerCommand('focus', {
+            description: 'Zoom the camera onto a laptop part',
+            args: [{
+                name: 'part',
+                required: true,
+                choices: Object.keys(PART_SECTIONS),
+                description: 'Part to look at'
+            }],
+            examples: [{ command: 'focus battery', description: 'Look at the battery' }],
+            execute: ({ args }, io) => {
+                if (this.isSceneMissing('focus', io)) {
+                    return 1;
+                }
+                this.sceneManager.focusOnPart(args.part);
+                this.announce(this.i18n.t('a11y.focus', { part: args.part }));
+            }
+        });
+        
+        terminal.registerCommand('share', {
+            description: 'Print a link to what you are looking at',
+            flags: {
+                copy: { alias: 'c', description: 'Copy the link to the clipboard as well' }
+            },
+            manual: [
+                'The link opens this page on the same section, with the laptop taken',
+                'apart as far as it is now and the camera on the same part, e.g.',
+                '/computer.html#/projects?progress=0.65&focus=screen. The address bar',
+                'always holds the same link, and Back and Forward step through the',
+                'sections you have visited.'
+            ],
+            examples: [
+                { command: 'share', description: 'Link to the current view' },
+                { command: 'projects && share -c', description: 'Open the projects and copy a link to them' }
+            ],
+            execute: async ({ options }, io) => {
+                const url = this.router.url(this.sceneManager ? {
+                    ...this.router.state,
+                    progress: this.scrollController.getScrollProgress(),
+                    focus: this.sceneManager.focusedPart
+                } : { section: this.router.state.section });
+                io.stdout.write(link(url));
+                
+                if (options.copy) {
+                    try {
+                        await navigator.clipboard.writeText(url);
+                        io.stdout.write('Copied to the clipboard.');
+                    } catch (error) {
+                        io.stderr.write(`share: could not copy the link: ${error.message}`);
+                        return 1;
+                    }
+                }
+            }
+        });
+    }
+    
+    handlePartClick(partName) {
+        const section = PART_SECTIONS[partName];
+        if (section) {
+            this.terminalUI.runCommand(section);
+        }
+    }
+    
+    handleThemeChange(theme) {
+        if (this.sceneManager) {
+            this.sceneManager.setThemeColors(theme.scene);
+        }
+        this.announce(this.i18n.t('a11y.theme', { name: theme.name }));
+    }
+    
+    handleLocaleChange(code) {
+        this.announce(this.i18n.t('a11y.language', { name: this.i18n.get(code).name }));
+    }
+    
+    handleNavigate(route) {
+        this.applyRoute(route);
+    }
+    
+    handleScrollEnd(progress) {
+        if (!this.isRestoringRoute) {
+            this.router.update({ progress });
+        }
+    }
+    
+    handlePartFocus(part) {
+        if (!this.isRestoringRoute) {
+            this.router.update({ focus: part });
+        }
+    }
+    
+    // Show the view of a shared link or of a Back/Forward step
+    async applyRoute({ section, progress, focus }) {
+        this.isRestoringRoute = true;
+        try {
+            if (section) {
+                this.scrollSectionIntoView(section);
+            }
+            if (this.scrollController && progress !== null) {
+                await this.scrollController.animateToProgress(progress, 800);
+            }
+            if (focus) {
+                this.focusOnPart(focus);
+            }
+        } finally {
+            this.isRestoringRoute = false;
+        }
+    }
+    
+    handleResize() {
+        if (this.sceneManager) {
+            this.sceneManager.handleResize();
+        }
+        this.terminalUI.handleResize();
+    }
+    
+    handleVisibilityChange() {
+        if (this.sceneManager) {
+            this.sceneManager.setVisibility(!document.hidden);
+        }
+    }
+    
+    // Section commands still work without the 3D view, they just don't move the camera
+    focusOnPart(part) {
+        if (this.sceneManager) {
+            this.sceneManager.focusOnPart(part);
+        }
+    }
+    
+    getPartForSection(section) {
+        return Object.keys(PART_SECTIONS).find(part => PART_SECTIONS[part] === section) || null;
+    }
+    
+    showSection(section, io) {
+        this.router.update({ section });
+        
+        if (this.scrollController) {
+            const { phases } = this.scrollController;
+            if (this.scrollController.getCurrentPhase() < phases.DISASSEMBLING) {
+                this.scrollController.scrollToPhase(phases.DISASSEMBLING);
+            }
+        }
+        
+        const part = this.getPartForSection(section);
+        if (part) {
+            this.focusOnPart(part);
+        }
+        
+        this.scrollSectionIntoView(section);
+        
+        // Print the section's page copy so it can be piped (`projects | grep three`)
+        const readme = `~/${section}/README.md`;
+        if (io && this.terminalUI.fs.exists(readme)) {
+            io.stdout.write(this.terminalUI.fs.readFile(readme));
+        }
+        
+        this.announce(this.i18n.t('a11y.section', { section }));
+    }
+    
+    scrollSectionIntoView(section) {
+        const element = document.getElementById(section);
+        if (element) {
+            const reducedMotion = this.accessibilityManager && this.accessibilityManager.isReducedMotionPreferred;
+            element.scrollIntoView({ behavior: reducedMotion ? 'auto' : 'smooth' });
+        }
+    }
+    
+    // Runs as a terminal job: aborting `io.signal` (Ctrl+C, `kill`) ends the tour
+    async startTour(io) {
+        if (this.isTouring) {
+            io.stderr.write('tour: a tour is already running');
+            return 1;
+        }
+        
+        const { signal } = io;
+        this.isTouring = true;
+        this.sceneManager.enterTourMode();
+        const t = key => this.i18n.t(key);
+        io.stdout.write(['', t('tour.start'), '']);
+        this.announce(t('tour.started'));
+        
+        // Ctrl+C, `kill` or Escape end the tour before its last stop
+        let isStopped = true;
+        try {
+            for (const [index, stop] of TOUR_STOPS.entries()) {
+                // Escape (handled by the accessibility manager) exits tour mode
+                if (!this.sceneManager.isTourMode || signal.aborted) break;
+                
+                await this.scrollController.animateToProgress(stop.progress, 1500, signal);
+                if (signal.aborted) break;
+                
+                if (stop.part) {
+                    this.sceneManager.focusOnPart(stop.part);
+                }
+                const progress = progressBar((index + 1) / TOUR_STOPS.length, { width: 10, label: false });
+                io.stdout.write(`  ${progress} ${t(stop.message)}`);
+                await this.terminalUI.sleep(2500, signal);
+            }
+            isStopped = signal.aborted || !this.sceneManager.isTourMode;
+        } finally {
+            this.isTouring = false;
+            // The scene is gone when the app was disposed mid-tour
+            if (this.sceneManager && this.sceneManager.isTourMode) {
+                this.sceneManager.exitTourMode();
+            }
+        }
+        
+        io.stdout.write(['', t(isStopped ? 'tour.stopped' : 'tour.end'), '']);
+        this.announce(t(isStopped ? 'tour.stopped' : 'tour.finished'));
+    }
+    
+    announce(message) {
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(message);
+        }
+    }
+    
+    dispose() {
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        
+        if (this.sceneManager) {
+            this.sceneManager.off('partClick', this.handlePartClick);
+            this.sceneManager.off('partFocus', this.handlePartFocus);
+        }
+        if (this.themeManager) {
+            this.themeManager.off('change', this.handleThemeChange);
+        }
+        if (this.i18n) {
+            this.i18n.off('change', this.handleLocaleChange);
+        }
+        if (this.scrollController) {
+            this.scrollController.off('scrollend', this.handleScrollEnd);
+        }
+        if (this.router) {
+            this.router.off('navigate', this.handleNavigate);
+        }
+        
+        // Tear down in reverse creation order
+        [
+            this.router,
+            this.accessibilityManager,
+            this.mobileController,
+            this.scrollController,
+            this.sceneManager,
+            this.terminalUI,
+            this.themeManager
+        ].forEach(module => {
+            if (module) {
+                module.dispose();
+            }
+        });
+        
+        this.router = null;
+        this.accessibilityManager = null;
+        this.mobileController = null;
+        this.scrollController = null;
+        this.sceneManager = null;
+        this.terminalUI = null;
+        this.themeManager = null;
+        this.isInitialized = false;
+        
+        this.removeAllListeners();
+    }
+}
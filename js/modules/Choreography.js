@@ -0,0 +1,184 @@
+// Choreography - Declarative disassembly animations, compiled into timed keyframes
+//
+// The default is content/disassembly.json. Parts are listed in the order
+// they start moving, `stagger` ms apart:
+//
+//   {
+//     "easing": "easeOutExpo",    default easing of a keyframe
+//     "duration": 1000,           default length of a keyframe in ms
+//     "stagger": 200,
+//     "labels": [{ "name": "exploded", "at": 1800 }],
+//     "parts": [{
+//       "part": "screen",
+//       "delay": 100,             added to the part's staggered start
+//       "keyframes": [
+//         { "duration": 600, "position": [0, 1, -0.5], "rotation": [-0.3, 0, 0] },
+//         { "delay": 200, "position": [0, 1.5, -1.5], "scale": 0.9, "opacity": 0.5 }
+//       ]
+//     }]
+//   }
+//
+// Keyframes say where the part is when they end, relative to where it rests
+// in the closed laptop: `position` and `rotation` (radians) are added to
+// the resting values, `scale` and `opacity` multiply them. A keyframe keeps
+// what it leaves out from the one before; its `delay` is a pause before it.
+import { validateContent } from './ContentSchema.js';
+import { EASINGS } from './Timeline.js';
+
+export const DEFAULT_EASING = 'easeOutExpo';
+
+export const DEFAULT_DURATION = 1000;
+
+// Properties a keyframe can animate
+export const CHANNELS = ['position', 'rotation', 'scale', 'opacity'];
+
+const vector = { type: 'array', minItems: 3, items: { type: 'number' } };
+const easing = { type: 'string', enum: Object.keys(EASINGS) };
+const number = { type: 'number' };
+
+export const CHOREOGRAPHY_SCHEMA = {
+    type: 'object',
+    required: ['parts'],
+    properties: {
+        description: { type: 'string' },
+        easing,
+        duration: number,
+        stagger: number,
+        labels: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'at'],
+                properties: { name: { type: 'string', minLength: 1 }, at: number }
+            }
+        },
+        parts: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['part', 'keyframes'],
+                properties: {
+                    part: { type: 'string', minLength: 1 },
+                    delay: number,
+                    easing,
+                    keyframes: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                duration: number,
+                                delay: number,
+                                easing,
+                                position: vector,
+                                rotation: vector,
+                                scale: number,
+                                opacity: number
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+export class ChoreographyError extends Error {
+    constructor(errors) {
+        super(`Invalid choreography:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ChoreographyError';
+        this.errors = errors;
+    }
+}
+
+const add = (a, b) => a.map((value, index) => value + b[index]);
+
+// Pose of a part at the end of `keyframe`, starting from `pose`
+function applyKeyframe(rest, pose, keyframe) {
+    return {
+        position: keyframe.position ? add(rest.position, keyframe.position) : pose.position,
+        rotation: keyframe.rotation ? add(rest.rotation, keyframe.rotation) : pose.rotation,
+        scale: keyframe.scale !== undefined ? rest.scale.map(value => value * keyframe.scale) : pose.scale,
+        opacity: keyframe.opacity !== undefined ? rest.opacity * keyframe.opacity : pose.opacity
+    };
+}
+
+/**
+ * Turn a choreography into absolute times and values. `rest` maps the
+ * part names to their resting pose (`position`, `rotation` and `scale` as
+ * `[x, y, z]`, `opacity`). Every keyframe of the result has its `start`
+ * and `end` in ms and the `from` and `to` poses; `channels` are the
+ * properties a part actually animates.
+ *
+ * @throws {ChoreographyError} listing every problem found
+ */
+export function compileChoreography(choreography, rest) {
+    const errors = validateContent(choreography, CHOREOGRAPHY_SCHEMA, 'choreography');
+    if (errors.length) {
+        throw new ChoreographyError(errors);
+    }
+    
+    const {
+        easing: defaultEasing = DEFAULT_EASING,
+        duration: defaultDuration = DEFAULT_DURATION,
+        stagger = 0,
+        labels = [],
+        parts
+    } = choreography;
+    
+    const seen = new Set();
+    parts.forEach(({ part }, index) => {
+        if (!rest.has(part)) {
+            errors.push(`choreography.parts[${index}].part: the laptop has no part '${part}'`);
+        } else if (seen.has(part)) {
+            errors.push(`choreography.parts[${index}].part: '${part}' is listed twice`);
+        }
+        seen.add(part);
+    });
+    if (errors.length) {
+        throw new ChoreographyError(errors);
+    }
+    
+    const tracks = parts.map((track, index) => {
+        const start = index * stagger + (track.delay || 0);
+        const restPose = rest.get(track.part);
+        const channels = CHANNELS.filter(channel => track.keyframes.some(keyframe => channel in keyframe));
+        let pose = restPose;
+        let time = start;
+        
+        const keyframes = track.keyframes.map(keyframe => {
+            const frameStart = time + (keyframe.delay || 0);
+            const frame = {
+                start: frameStart,
+                end: frameStart + (keyframe.duration ?? defaultDuration),
+                easing: keyframe.easing || track.easing || defaultEasing,
+                from: pose,
+                to: applyKeyframe(restPose, pose, keyframe)
+            };
+            pose = frame.to;
+            time = frame.end;
+            return frame;
+        });
+        
+        return { part: track.part, start, end: time, channels, keyframes };
+    });
+    
+    const duration = Math.max(0, ...tracks.map(track => track.end));
+    labels.forEach(({ name, at }, index) => {
+        if (at < 0 || at > duration) {
+            errors.push(`choreography.labels[${index}]: '${name}' at ${at} ms is outside 0-${duration} ms`);
+        }
+    });
+    if (errors.length) {
+        throw new ChoreographyError(errors);
+    }
+    
+    return {
+        duration,
+        labels: labels
+            .map(({ name, at }) => ({ name, time: at }))
+            .sort((a, b) => a.time - b.time),
+        tracks
+    };
+}
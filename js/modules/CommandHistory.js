@@ -0,0 +1,143 @@
+// Command History - Persistent, de-duplicated history with bash-style `!` expansion
+
+export class HistoryExpansionError extends Error {
+    constructor(event) {
+        super(`${event}: event not found`);
+        this.name = 'HistoryExpansionError';
+        this.event = event;
+    }
+}
+
+export class CommandHistory {
+    constructor({ storageKey = 'portfolio:history', maxSize = 500 } = {}) {
+        this.storageKey = storageKey;
+        this.maxSize = maxSize;
+        this.entries = [];
+        
+        this.load();
+    }
+    
+    // Storage can be unavailable (private mode, disabled cookies): history then lives in memory only
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            if (Array.isArray(saved)) {
+                this.entries = saved.filter(entry => typeof entry === 'string').slice(-this.maxSize);
+            }
+        } catch (error) {
+            console.warn('Could not restore command history:', error);
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save command history:', error);
+        }
+    }
+    
+    get length() {
+        return this.entries.length;
+    }
+    
+    add(line) {
+        const entry = line.trim();
+        if (!entry) return;
+        
+        // Keep only the most recent copy of a line, like HISTCONTROL=erasedups
+        this.entries = this.entries.filter(existing => existing !== entry);
+        this.entries.push(entry);
+        
+        if (this.entries.length > this.maxSize) {
+            this.entries.splice(0, this.entries.length - this.maxSize);
+        }
+        this.save();
+    }
+    
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+    
+    // 1-based like the numbers printed by `history`; negative numbers count back from the end
+    get(number) {
+        const index = number < 0 ? this.entries.length + number : number - 1;
+        return index >= 0 && index < this.entries.length ? this.entries[index] : null;
+    }
+    
+    // Newest entry starting with `prefix`
+    findPrefix(prefix) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].startsWith(prefix)) return this.entries[i];
+        }
+        return null;
+    }
+    
+    // Newest entry containing `query` at or before index `from`, for Ctrl+R
+    search(query, from = this.entries.length - 1) {
+        for (let i = Math.min(from, this.entries.length - 1); i >= 0; i--) {
+            if (this.entries[i].includes(query)) {
+                return { index: i, entry: this.entries[i] };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Expand `!!`, `!n`, `!-n` and `!prefix` events. Single-quoted text and
+     * backslash-escaped `!` are left alone, as is a `!` followed by a blank.
+     * Throws HistoryExpansionError when an event does not exist.
+     */
+    expand(line) {
+        let result = '';
+        let inSingleQuote = false;
+        let i = 0;
+        
+        while (i < line.length) {
+            const char = line[i];
+            
+            if (char === "'") {
+                inSingleQuote = !inSingleQuote;
+            } else if (char === '\\' && !inSingleQuote && i + 1 < line.length) {
+                result += char + line[i + 1];
+                i += 2;
+                continue;
+            }
+            
+            if (char !== '!' || inSingleQuote) {
+                result += char;
+                i++;
+                continue;
+            }
+            
+            const rest = line.slice(i + 1);
+            let match;
+            let entry;
+            
+            if (rest.startsWith('!')) {
+                match = '!!';
+                entry = this.get(-1);
+            } else if ((match = rest.match(/^-?\d+/))) {
+                match = `!${match[0]}`;
+                entry = this.get(parseInt(match.slice(1), 10));
+            } else if ((match = rest.match(/^[^\s!'"=();|&<>]+/))) {
+                match = `!${match[0]}`;
+                entry = this.findPrefix(match.slice(1));
+            } else {
+                // A lone `!` stays literal
+                result += char;
+                i++;
+                continue;
+            }
+            
+            if (entry === null) {
+                throw new HistoryExpansionError(match);
+            }
+            result += entry;
+            i += match.length;
+        }
+        
+        return result;
+    }
+}
@@ -0,0 +1,389 @@
+// Command Registry - Declarative command schemas, argument parsing and help pages
+
+const VALUE_TYPES = ['string', 'number', 'path', 'command'];
+
+export class CommandUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommandUsageError';
+    }
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and swapped neighbours
+export function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    
+    return rows[a.length][b.length];
+}
+
+/**
+ * A command spec looks like:
+ *
+ *   {
+ *       description: 'List directory contents',
+ *       flags: {
+ *           long: { alias: 'l', type: 'boolean', description: 'Use a long listing format' },
+ *           lines: { alias: 'n', type: 'number', default: 10, description: 'Number of lines' }
+ *       },
+ *       args: [{ name: 'path', type: 'path', variadic: true, description: 'Directories to list' }],
+ *       aliases: ['dir'],
+ *       examples: [{ command: 'ls -la ~', description: 'List everything in the home directory' }],
+ *       execute: ({ options, args, positionals, raw }, io) => { ... }
+ *   }
+ */
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.aliases = new Map();
+    }
+    
+    register(name, spec) {
+        if (!name || typeof spec.execute !== 'function') {
+            throw new TypeError(`Command "${name}" needs a name and an execute() function`);
+        }
+        
+        const command = this.normalizeSpec(name, spec);
+        
+        // Re-registering replaces the previous definition and its aliases
+        this.unregister(name);
+        this.commands.set(name, command);
+        command.aliases.forEach(alias => this.aliases.set(alias, name));
+        
+        return command;
+    }
+    
+    unregister(name) {
+        const command = this.commands.get(name);
+        if (!command) return false;
+        
+        command.aliases.forEach(alias => this.aliases.delete(alias));
+        return this.commands.delete(name);
+    }
+    
+    normalizeSpec(name, spec) {
+        const flags = {};
+        Object.entries(spec.flags || {}).forEach(([flagName, flag]) => {
+            const type = flag.type || 'boolean';
+            if (type !== 'boolean' && !VALUE_TYPES.includes(type)) {
+                throw new TypeError(`Unknown type "${type}" for flag --${flagName} of "${name}"`);
+            }
+            flags[flagName] = { ...flag, name: flagName, type };
+        });
+        
+        const args = (spec.args || []).map(arg => ({ type: 'string', ...arg }));
+        
+        return {
+            ...spec,
+            name,
+            description: spec.description || '',
+            flags,
+            args,
+            aliases: spec.aliases || [],
+            examples: spec.examples || []
+        };
+    }
+    
+    get(name) {
+        return this.commands.get(name) || this.commands.get(this.aliases.get(name)) || null;
+    }
+    
+    has(name) {
+        return this.get(name) !== null;
+    }
+    
+    // Command names followed by aliases, as typed at the prompt
+    names({ includeAliases = true } = {}) {
+        const names = Array.from(this.commands.keys());
+        return includeAliases ? names.concat(Array.from(this.aliases.keys())) : names;
+    }
+    
+    list() {
+        return Array.from(this.commands.values()).filter(command => !command.hidden);
+    }
+    
+    /**
+     * Names and aliases closest to a misspelt `name`, best first. Up to a third
+     * of the letters may be wrong; `extraNames` adds candidates the registry
+     * does not know, like shell aliases.
+     */
+    suggest(name, { limit = 3, extraNames = [] } = {}) {
+        const target = name.toLowerCase();
+        const maxDistance = Math.max(1, Math.floor(target.length / 3));
+        const hidden = new Set(this.names({ includeAliases: false }).filter(candidate => this.commands.get(candidate).hidden));
+        
+        return Array.from(new Set([...this.names(), ...extraNames]))
+            .filter(candidate => !hidden.has(candidate) && !hidden.has(this.aliases.get(candidate)))
+            .map(candidate => ({ candidate, distance: editDistance(target, candidate.toLowerCase()) }))
+            .filter(({ distance }) => distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+            .slice(0, limit)
+            .map(({ candidate }) => candidate);
+    }
+    
+    findFlag(command, key) {
+        if (command.flags[key]) return command.flags[key];
+        return Object.values(command.flags).find(flag => flag.alias === key) || null;
+    }
+    
+    coerce(value, type, label) {
+        if (type === 'number') {
+            const number = Number(value);
+            if (value === '' || Number.isNaN(number)) {
+                throw new CommandUsageError(`${label} expects a number, got '${value}'`);
+            }
+            return number;
+        }
+        return value;
+    }
+    
+    checkChoices(value, choices, label) {
+        if (choices && !choices.includes(value)) {
+            throw new CommandUsageError(`invalid value '${value}' for ${label} (choose from ${choices.join(', ')})`);
+        }
+    }
+    
+    // Turn raw argv into validated options and named positional arguments
+    parseArguments(command, raw) {
+        // Commands can opt out and receive every word as a positional
+        if (command.parseArgs === false) {
+            return { options: {}, args: this.bindPositionals(command, raw), positionals: raw, raw };
+        }
+        
+        const options = {};
+        const positionals = [];
+        
+        const setFlag = (flag, value) => {
+            const label = `--${flag.name}`;
+            const coerced = flag.type === 'boolean' ? value : this.coerce(value, flag.type, label);
+            this.checkChoices(coerced, flag.choices, label);
+            options[flag.name] = coerced;
+        };
+        
+        for (let i = 0; i < raw.length; i++) {
+            const token = raw[i];
+            
+            // `--` ends option parsing
+            if (token === '--') {
+                positionals.push(...raw.slice(i + 1));
+                break;
+            }
+            
+            if (token.startsWith('--') && token.length > 2) {
+                const [key, inlineValue] = token.slice(2).split(/=(.*)/s);
+                const negated = key.startsWith('no-') && !command.flags[key];
+                const flag = this.findFlag(command, negated ? key.slice(3) : key);
+                
+                if (!flag) {
+                    throw new CommandUsageError(`unknown option '--${key}'`);
+                }
+                
+                if (flag.type === 'boolean') {
+                    if (inlineValue !== undefined) {
+                        throw new CommandUsageError(`option '--${key}' does not take a value`);
+                    }
+                    setFlag(flag, !negated);
+                } else {
+                    const value = inlineValue !== undefined ? inlineValue : raw[++i];
+                    if (value === undefined) {
+                        throw new CommandUsageError(`option '--${key}' requires a value`);
+                    }
+                    setFlag(flag, value);
+                }
+                continue;
+            }
+            
+            if (token.startsWith('-') && token.length > 1 && !/^-\d/.test(token)) {
+                // Single-dash long options such as `find -name`
+                const longFlag = command.flags[token.slice(1)];
+                if (longFlag && token.length > 2) {
+                    if (longFlag.type === 'boolean') {
+                        setFlag(longFlag, true);
+                    } else {
+                        const value = raw[++i];
+                        if (value === undefined) {
+                            throw new CommandUsageError(`option '${token}' requires a value`);
+                        }
+                        setFlag(longFlag, value);
+                    }
+                    continue;
+                }
+                
+                // Bundled short flags: `-la`, `-n5`, `-n 5`
+                const letters = token.slice(1);
+                for (let j = 0; j < letters.length; j++) {
+                    const flag = this.findFlag(command, letters[j]);
+                    if (!flag) {
+                        throw new CommandUsageError(`invalid option -- '${letters[j]}'`);
+                    }
+                    
+                    if (flag.type === 'boolean') {
+                        setFlag(flag, true);
+                        continue;
+                    }
+                    
+                    const value = j < letters.length - 1 ? letters.slice(j + 1) : raw[++i];
+                    if (value === undefined) {
+                        throw new CommandUsageError(`option requires an argument -- '${letters[j]}'`);
+                    }
+                    setFlag(flag, value);
+                    break;
+                }
+                continue;
+            }
+            
+            positionals.push(token);
+        }
+        
+        // Defaults for flags that were not given
+        Object.values(command.flags).forEach(flag => {
+            if (options[flag.name] === undefined) {
+                options[flag.name] = flag.default !== undefined ? flag.default : (flag.type === 'boolean' ? false : undefined);
+            }
+        });
+        
+        return { options, args: this.bindPositionals(command, positionals), positionals, raw };
+    }
+    
+    bindPositionals(command, positionals) {
+        const args = {};
+        let index = 0;
+        
+        command.args.forEach(arg => {
+            const label = `<${arg.name}>`;
+            
+            if (arg.variadic) {
+                const values = positionals.slice(index).map(value => this.coerce(value, arg.type, label));
+                index = positionals.length;
+                if (arg.required && values.length === 0) {
+                    throw new CommandUsageError(`missing required argument ${label}`);
+                }
+                values.forEach(value => this.checkChoices(value, arg.choices, label));
+                args[arg.name] = values.length ? values : (arg.default !== undefined ? arg.default : []);
+                return;
+            }
+            
+            if (index < positionals.length) {
+                const value = this.coerce(positionals[index++], arg.type, label);
+                this.checkChoices(value, arg.choices, label);
+                args[arg.name] = value;
+            } else if (arg.required) {
+                throw new CommandUsageError(`missing required argument ${label}`);
+            } else {
+                args[arg.name] = arg.default;
+            }
+        });
+        
+        if (index < positionals.length && !command.allowExtraArgs) {
+            throw new CommandUsageError(`unexpected argument '${positionals[index]}'`);
+        }
+        
+        return args;
+    }
+    
+    // Help text
+    formatFlagName(flag) {
+        const short = flag.alias ? `-${flag.alias}, ` : '    ';
+        const value = flag.type === 'boolean' ? '' : ` <${flag.valueName || flag.type}>`;
+        return `${short}--${flag.name}${value}`;
+    }
+    
+    formatArgName(arg) {
+        const name = `<${arg.name}>${arg.variadic ? '...' : ''}`;
+        return arg.required ? name : `[${name}]`;
+    }
+    
+    formatUsage(command) {
+        const parts = [command.name];
+        if (Object.keys(command.flags).length) {
+            parts.push('[options]');
+        }
+        command.args.forEach(arg => parts.push(this.formatArgName(arg)));
+        return parts.join(' ');
+    }
+    
+    formatDetails(command) {
+        const lines = [];
+        const flags = Object.values(command.flags);
+        
+        if (command.args.length) {
+            lines.push('ARGUMENTS');
+            command.args.forEach(arg => {
+                const extra = arg.choices ? ` (${arg.choices.join(', ')})` : '';
+                lines.push(`    ${this.formatArgName(arg).padEnd(20)} ${arg.description || ''}${extra}`);
+            });
+            lines.push('');
+        }
+        
+        if (flags.length) {
+            lines.push('OPTIONS');
+            flags.forEach(flag => {
+                const extras = [];
+                if (flag.choices) extras.push(`one of: ${flag.choices.join(', ')}`);
+                if (flag.default !== undefined && flag.type !== 'boolean') extras.push(`default: ${flag.default}`);
+                const extra = extras.length ? ` (${extras.join('; ')})` : '';
+                lines.push(`    ${this.formatFlagName(flag).padEnd(24)} ${flag.description || ''}${extra}`);
+            });
+            lines.push('');
+        }
+        
+        if (command.examples.length) {
+            lines.push('EXAMPLES');
+            command.examples.forEach(example => {
+                lines.push(`    $ ${example.command}`);
+                if (example.description) {
+                    lines.push(`      ${example.description}`);
+                }
+            });
+            lines.push('');
+        }
+        
+        if (command.aliases.length) {
+            lines.push('ALIASES');
+            lines.push(`    ${command.aliases.join(', ')}`);
+            lines.push('');
+        }
+        
+        return lines;
+    }
+    
+    // Short form printed by `<command> --help`
+    formatHelp(command) {
+        return [
+            `Usage: ${this.formatUsage(command)}`,
+            '',
+            command.description,
+            '',
+            ...this.formatDetails(command)
+        ];
+    }
+    
+    // Long form printed by `man <command>`
+    formatManPage(command) {
+        const title = `${command.name.toUpperCase()}(1)`;
+        return [
+            `${title.padEnd(30)}Portfolio Manual${title.padStart(30)}`,
+            '',
+            'NAME',
+            `    ${command.name} - ${command.description}`,
+            '',
+            'SYNOPSIS',
+            `    ${this.formatUsage(command)}`,
+            '',
+            ...(command.manual ? ['DESCRIPTION', ...command.manual.map(line => `    ${line}`), ''] : []),
+            ...this.formatDetails(command)
+        ];
+    }
+}
@@ -0,0 +1,151 @@
+// Completer - Tab completion for command names, flags, arguments and paths
+
+// Characters that need a backslash outside quotes to stay part of one word
+const SPECIAL_CHARS = /[\s'"\\|&;<>()#$`!*?]/g;
+
+/**
+ * Commands can customise completion per argument or flag with
+ * `complete(word, completer)`, returning candidate strings. Without it,
+ * `choices`, then the value type (`path`, `command`) are used.
+ */
+export class Completer {
+    constructor({ registry, fs, parser }) {
+        this.registry = registry;
+        this.fs = fs;
+        this.parser = parser;
+    }
+    
+    /**
+     * Complete the word that ends at the end of `line`.
+     * Returns `{ start, word, quote, candidates }` where every candidate is
+     * `{ value, label, isDirectory }`; `value` replaces the word from `start`.
+     */
+    complete(line) {
+        const context = this.parser.completionContext(line);
+        const values = this.getCandidates(context)
+            .filter(value => value.startsWith(context.word));
+            
+        const candidates = Array.from(new Set(values)).sort().map(value => ({
+            value,
+            // Paths list only their last segment, like bash
+            label: value.endsWith('/') ? `${value.slice(0, -1).split('/').pop()}/` : value.split('/').pop() || value,
+            isDirectory: value.endsWith('/')
+        }));
+        
+        return { ...context, candidates };
+    }
+    
+    getCandidates({ argv, word, redirect }) {
+        if (redirect) {
+            return this.completePath(word);
+        }
+        
+        if (argv.length === 0) {
+            return this.completeCommands();
+        }
+        
+        const command = this.registry.get(argv[0]);
+        if (!command) {
+            return this.completePath(word);
+        }
+        
+        // Value of the flag right before the cursor (`find -type <Tab>`)
+        const previousFlag = this.findValueFlag(command, argv[argv.length - 1]);
+        if (previousFlag && argv.length > 1) {
+            return this.completeValue(previousFlag, word);
+        }
+        
+        if (word.startsWith('-')) {
+            const flags = Object.values(command.flags);
+            const long = flags.map(flag => `--${flag.name}`).concat('--help');
+            if (word.startsWith('--')) return long;
+            
+            // `-t` can still become `-type`, the single-dash form find users expect
+            return flags.map(flag => (flag.alias ? `-${flag.alias}` : `-${flag.name}`)).concat(long);
+        }
+        
+        const arg = this.getArgumentAt(command, argv.slice(1));
+        return arg ? this.completeValue(arg, word) : [];
+    }
+    
+    // Flag that takes a value, as written in `token`
+    findValueFlag(command, token) {
+        if (!token || !token.startsWith('-') || token.includes('=')) return null;
+        
+        const name = token.replace(/^--?/, '');
+        const flag = token.startsWith('--') || name.length > 1
+            ? command.flags[name] || null
+            : this.registry.findFlag(command, name);
+            
+        return flag && flag.type !== 'boolean' ? flag : null;
+    }
+    
+    // Positional argument spec the next word would bind to
+    getArgumentAt(command, words) {
+        let index = 0;
+        for (let i = 0; i < words.length; i++) {
+            if (words[i] === '--') continue;
+            if (words[i].startsWith('-') && words[i].length > 1) {
+                if (this.findValueFlag(command, words[i])) i++;
+                continue;
+            }
+            index++;
+        }
+        
+        const last = command.args[command.args.length - 1];
+        if (index < command.args.length) return command.args[index];
+        return last && last.variadic ? last : null;
+    }
+    
+    completeValue(spec, word) {
+        if (typeof spec.complete === 'function') {
+            return spec.complete(word, this) || [];
+        }
+        if (spec.choices) {
+            return spec.choices.map(String);
+        }
+        if (spec.type === 'path') {
+            return this.completePath(word);
+        }
+        if (spec.type === 'command') {
+            return this.completeCommands();
+        }
+        return [];
+    }
+    
+    completeCommands() {
+        return this.registry.names().filter(name => {
+            const command = this.registry.get(name);
+            return !command.hidden;
+        });
+    }
+    
+    // Entries of the directory named by everything up to the last `/`
+    completePath(word, { directoriesOnly = false } = {}) {
+        const slash = word.lastIndexOf('/');
+        const dirPart = slash === -1 ? '' : word.slice(0, slash + 1);
+        const base = slash === -1 ? word : word.slice(slash + 1);
+        
+        // `~` alone completes to the home directory itself
+        if (word === '~') {
+            return ['~/'];
+        }
+        
+        const dir = this.fs.getNode(dirPart || '.');
+        if (!dir || dir.type !== 'dir' || !this.fs.canRead(dir)) {
+            return [];
+        }
+        
+        return Array.from(dir.children.values())
+            .filter(child => base.startsWith('.') || !child.name.startsWith('.'))
+            .filter(child => !directoriesOnly || child.type === 'dir')
+            .map(child => `${dirPart}${child.name}${child.type === 'dir' ? '/' : ''}`);
+    }
+    
+    // Quote a completed value so the parser reads it back as one word
+    static escape(value, quote = null) {
+        if (quote === '\'') return value.replace(/'/g, '\'\\\'\'');
+        if (quote === '"') return value.replace(/(["\\$`])/g, '\\$1');
+        return value.replace(SPECIAL_CHARS, '\\$&');
+    }
+}
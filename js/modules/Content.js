@@ -0,0 +1,49 @@
+// Content - Loads the portfolio content (content/portfolio.json) that every page and command renders from
+import portfolio from '../../content/portfolio.json';
+import { validateContent, ContentError } from './ContentSchema.js';
+
+/**
+ * The validated content. The build already rejects invalid content, this
+ * check catches edits made while the dev server runs.
+ */
+export function loadContent(data = portfolio) {
+    const errors = validateContent(data);
+    if (errors.length) {
+        throw new ContentError(errors);
+    }
+    return data;
+}
+
+// Body of a section as Markdown, e.g. for ~/projects/README.md
+export function sectionToMarkdown(content, id) {
+    if (id === 'about') {
+        return [
+            ...content.bio.flatMap(paragraph => [paragraph, '']),
+            `Skills: ${content.skills.join(', ')}`
+        ];
+    }
+    
+    if (id === 'projects') {
+        if (!content.projects.length) {
+            return ['Nothing here yet.'];
+        }
+        return content.projects.flatMap((project, index) => [
+            ...(index ? [''] : []),
+            `## ${project.title}`,
+            '',
+            project.description,
+            ...(project.tags && project.tags.length ? ['', `Tags: ${project.tags.join(', ')}`] : []),
+            ...(project.url ? [`Link: ${project.url}`] : [])
+        ]);
+    }
+    
+    if (id === 'contact') {
+        const { email, links = [] } = content.contact;
+        return [
+            `Email: ${email}`,
+            ...links.map(({ label, url }) => `${label}: ${url}`)
+        ];
+    }
+    
+    return [];
+}
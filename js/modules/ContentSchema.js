@@ -0,0 +1,169 @@
+// Content Schema - Shape of content/portfolio.json, checked in the browser and at build time
+//
+// The schema is a small subset of JSON Schema: `type`, `properties`,
+// `required`, `items`, `minItems`, `minLength`, `enum` and `format`
+// (`url`, `email` or `date`). No dependencies, so vite.config.js can import it too.
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const url = { type: 'string', format: 'url' };
+// `2021`, `2021-06` or `2021-06-30`, as in JSON Resume
+const date = { type: 'string', format: 'date' };
+
+export const SECTION_IDS = ['about', 'projects', 'contact'];
+
+export const CONTENT_SCHEMA = {
+    type: 'object',
+    required: ['name', 'role', 'website', 'bio', 'skills', 'projects', 'contact', 'sections'],
+    properties: {
+        name: nonEmptyString,
+        role: nonEmptyString,
+        location: nonEmptyString,
+        website: url,
+        bio: { type: 'array', minItems: 1, items: nonEmptyString },
+        skills: { type: 'array', items: nonEmptyString },
+        projects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title', 'description'],
+                properties: {
+                    title: nonEmptyString,
+                    description: nonEmptyString,
+                    tags: { type: 'array', items: nonEmptyString },
+                    url
+                }
+            }
+        },
+        // Optional; the resume leaves out what is missing
+        experience: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['company', 'position', 'start'],
+                properties: {
+                    company: nonEmptyString,
+                    position: nonEmptyString,
+                    start: date,
+                    end: date,
+                    url,
+                    summary: nonEmptyString,
+                    highlights: { type: 'array', items: nonEmptyString }
+                }
+            }
+        },
+        education: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['institution', 'area'],
+                properties: {
+                    institution: nonEmptyString,
+                    area: nonEmptyString,
+                    degree: nonEmptyString,
+                    start: date,
+                    end: date
+                }
+            }
+        },
+        contact: {
+            type: 'object',
+            required: ['email'],
+            properties: {
+                email: { type: 'string', format: 'email' },
+                links: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['label', 'url'],
+                        properties: { label: nonEmptyString, url }
+                    }
+                }
+            }
+        },
+        sections: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'title'],
+                properties: {
+                    id: { type: 'string', enum: SECTION_IDS },
+                    title: nonEmptyString
+                }
+            }
+        }
+    }
+};
+
+const FORMATS = {
+    url: value => /^https?:\/\/[^\s/]+/.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    date: value => /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/.test(value)
+};
+
+export class ContentError extends Error {
+    constructor(errors) {
+        super(`Invalid portfolio content:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ContentError';
+        this.errors = errors;
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Check `value` against `schema` and return every problem as
+ * `"path: message"`; an empty array means the content is valid.
+ */
+export function validateContent(value, schema = CONTENT_SCHEMA, path = 'content') {
+    const type = typeOf(value);
+    if (schema.type && type !== schema.type) {
+        return [`${path}: expected ${schema.type}, got ${type}`];
+    }
+    
+    const errors = [];
+    
+    if (type === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            errors.push(`${path}: must not be empty`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+        }
+        if (schema.format && !FORMATS[schema.format](value)) {
+            errors.push(`${path}: not a valid ${schema.format}`);
+        }
+    }
+    
+    if (type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateContent(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+    
+    if (type === 'object') {
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push(`${path}.${key}: is required`));
+        
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties && schema.properties[key];
+            if (!childSchema) {
+                errors.push(`${path}.${key}: unknown property`);
+            } else {
+                errors.push(...validateContent(child, childSchema, `${path}.${key}`));
+            }
+        });
+    }
+    
+    return errors;
+}
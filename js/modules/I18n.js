@@ -0,0 +1,128 @@
+// I18n - Message catalogs, plurals and date formats in the visitor's language
+import { EventEmitter } from './EventEmitter.js';
+import en from './locales/en.js';
+import de from './locales/de.js';
+import es from './locales/es.js';
+
+/**
+ * Every catalog has the `name` of its language in that language and its
+ * `messages` by key. English has every key and is the fallback for the
+ * others. A message is a string with `{name}` placeholders, or an object
+ * of plural forms (`one`, `few`, `other`...) picked for `count`.
+ */
+export const LOCALES = { en, de, es };
+
+export const DEFAULT_LOCALE = 'en';
+
+// `auto` follows the browser languages (navigator.languages)
+export const AUTO_LOCALE = 'auto';
+
+export class I18n extends EventEmitter {
+    constructor({ storageKey = 'portfolio:lang', languages = navigator.languages || [navigator.language] } = {}) {
+        super();
+        
+        this.storageKey = storageKey;
+        this.languages = languages;
+        this.catalogs = new Map(Object.entries(LOCALES));
+        
+        // Chosen setting (a locale code or `auto`) and the locale actually used
+        this.preference = AUTO_LOCALE;
+        this.locale = DEFAULT_LOCALE;
+        this.pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+    }
+    
+    init() {
+        this.preference = this.loadPreference();
+        this.apply(this.resolve(this.preference));
+    }
+    
+    // Other modules can ship their own languages
+    register(code, catalog) {
+        this.catalogs.set(code, catalog);
+    }
+    
+    codes() {
+        return Array.from(this.catalogs.keys());
+    }
+    
+    get(code) {
+        return this.catalogs.get(code) || null;
+    }
+    
+    // Catalog code for a language tag: `de-AT` uses `de`, unknown languages give null
+    match(tag) {
+        const code = String(tag).toLowerCase();
+        if (this.catalogs.has(code)) return code;
+        const base = code.split('-')[0];
+        return this.catalogs.has(base) ? base : null;
+    }
+    
+    // Locale for a preference, resolving `auto` against the browser languages
+    resolve(preference) {
+        if (preference !== AUTO_LOCALE && this.catalogs.has(preference)) {
+            return preference;
+        }
+        for (const language of this.languages) {
+            const code = this.match(language);
+            if (code) return code;
+        }
+        return DEFAULT_LOCALE;
+    }
+    
+    loadPreference() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved && this.catalogs.has(saved) ? saved : AUTO_LOCALE;
+        } catch (error) {
+            return AUTO_LOCALE;
+        }
+    }
+    
+    // Make `preference` the persistent choice and switch to it
+    set(preference) {
+        const code = preference === AUTO_LOCALE ? AUTO_LOCALE : this.match(preference);
+        if (!code) {
+            throw new Error(`unknown language '${preference}'`);
+        }
+        
+        this.preference = code;
+        try {
+            if (code === AUTO_LOCALE) {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, code);
+            }
+        } catch (error) {
+            console.warn('Could not save language:', error);
+        }
+        
+        this.apply(this.resolve(code));
+    }
+    
+    // Use `code` without saving it; screen readers pick the language up from <html lang>
+    apply(code) {
+        this.locale = code;
+        this.pluralRules = new Intl.PluralRules(code);
+        document.documentElement.lang = code;
+        this.emit('change', code);
+    }
+    
+    /**
+     * The message `key` in the current language, e.g.
+     * `t('search.results', { count: 2, query: 'three' })`. Missing messages
+     * fall back to English and then to the key itself.
+     */
+    t(key, params = {}) {
+        const lookup = code => (this.catalogs.get(code) || { messages: {} }).messages[key];
+        let message = lookup(this.locale) ?? lookup(DEFAULT_LOCALE) ?? key;
+        
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(Number(params.count))] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+    
+    formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+}
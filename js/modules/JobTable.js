@@ -0,0 +1,107 @@
+// Job Table - Foreground and background jobs of the terminal, each with its own AbortSignal
+import { EventEmitter } from './EventEmitter.js';
+
+// Exit statuses of commands stopped by a signal, as in bash (128 + signal number)
+export const SIGNAL_STATUS = {
+    SIGINT: 130,
+    SIGTERM: 143
+};
+
+// Resolves with the signal's exit status once `signal` aborts
+export function whenAborted(signal) {
+    return new Promise(resolve => {
+        const settle = () => resolve(SIGNAL_STATUS[signal.reason] || SIGNAL_STATUS.SIGINT);
+        if (signal.aborted) {
+            settle();
+        } else {
+            signal.addEventListener('abort', settle, { once: true });
+        }
+    });
+}
+
+export class Job {
+    constructor(id, command) {
+        this.id = id;
+        this.command = command;
+        this.controller = new AbortController();
+        this.state = 'running';
+        this.status = null;
+        this.promise = null;
+        // Set once `fg` waits for the job, so it is not reported as done in the background
+        this.foreground = false;
+    }
+    
+    get signal() {
+        return this.controller.signal;
+    }
+    
+    // `reason` is a signal name from SIGNAL_STATUS
+    abort(reason = 'SIGINT') {
+        if (this.state === 'running') {
+            this.controller.abort(reason);
+        }
+    }
+}
+
+/**
+ * Background jobs are numbered from 1, reusing free numbers like bash.
+ * Emits `done` with the job once it finishes or is killed.
+ */
+export class JobTable extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map();
+    }
+    
+    // Run `task(signal)` as a job; foreground jobs get no number
+    start(command, task, { background = false } = {}) {
+        const job = new Job(background ? this.nextId() : 0, command);
+        
+        if (background) {
+            this.jobs.set(job.id, job);
+        }
+        
+        job.promise = Promise.race([
+            Promise.resolve().then(() => task(job.signal)),
+            whenAborted(job.signal)
+        ]).catch(error => {
+            console.error(`Job "${command}" failed:`, error);
+            return 1;
+        }).then(status => {
+            job.status = job.signal.aborted ? SIGNAL_STATUS[job.signal.reason] || SIGNAL_STATUS.SIGINT : status;
+            job.state = job.signal.aborted ? 'killed' : 'done';
+            this.jobs.delete(job.id);
+            this.emit('done', job);
+            return job.status;
+        });
+        
+        return job;
+    }
+    
+    nextId() {
+        let id = 1;
+        while (this.jobs.has(id)) id++;
+        return id;
+    }
+    
+    // `%2`, `2`, or the most recent job when omitted
+    get(spec) {
+        if (spec === undefined || spec === null || spec === '' || spec === '%' || spec === '%+') {
+            const ids = Array.from(this.jobs.keys());
+            return ids.length ? this.jobs.get(Math.max(...ids)) : null;
+        }
+        
+        const id = parseInt(String(spec).replace(/^%/, ''), 10);
+        return this.jobs.get(id) || null;
+    }
+    
+    list() {
+        return Array.from(this.jobs.values()).sort((a, b) => a.id - b.id);
+    }
+    
+    dispose() {
+        this.jobs.forEach(job => job.abort('SIGTERM'));
+        this.jobs.clear();
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,62 @@
+// Laptop Model - Finds the laptop parts in a glTF scene by node name
+//
+// Exporters name nodes in many ways (`Screen.001`, `LCD_Panel`, `logic-board`),
+// so names are compared without case, punctuation or a numeric suffix, and
+// through a table of aliases.
+
+// Parts the scene, the disassembly and the sections need
+export const LAPTOP_PARTS = ['screen', 'keyboard', 'battery', 'ports', 'motherboard'];
+
+// Other names a part goes by in models; `new SceneManager({ partAliases })` takes its own table
+export const PART_ALIASES = {
+    screen: ['display', 'lcd', 'lcd panel', 'monitor', 'lid'],
+    keyboard: ['keys', 'keycaps', 'keyboard deck', 'top case', 'palmrest'],
+    battery: ['battery pack', 'cells', 'accumulator'],
+    ports: ['port', 'io', 'io board', 'connectors', 'usb'],
+    motherboard: ['mainboard', 'logic board', 'mobo', 'pcb', 'board']
+};
+
+export class ModelError extends Error {
+    constructor(message, missing = []) {
+        super(message);
+        this.name = 'ModelError';
+        this.missing = missing;
+    }
+}
+
+// `Screen.001`, `screen_2` and `SCREEN` all become `screen`
+export function normalizePartName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '').replace(/\d+$/, '');
+}
+
+/**
+ * Map part names to the nodes of `root` that hold them. The outermost
+ * matching node wins, so a `Screen` group keeps its bezel and panel
+ * meshes together. An alias never takes over a part name. `missing`
+ * lists the `required` parts that were not found.
+ */
+export function findLaptopParts(root, { aliases = PART_ALIASES, required = LAPTOP_PARTS } = {}) {
+    const names = new Map();
+    Object.entries(aliases).forEach(([part, list]) => {
+        list.forEach(alias => names.set(normalizePartName(alias), part));
+    });
+    LAPTOP_PARTS.concat(Object.keys(aliases)).forEach(part => names.set(normalizePartName(part), part));
+    
+    // Breadth first, without looking inside nodes already taken
+    const parts = new Map();
+    const queue = [...root.children];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        const part = names.get(normalizePartName(node.name));
+        if (part && !parts.has(part)) {
+            parts.set(part, node);
+        } else {
+            queue.push(...node.children);
+        }
+    }
+    
+    return {
+        parts,
+        missing: required.filter(part => !parts.has(part))
+    };
+}
@@ -0,0 +1,401 @@
+// Line Editor - Readline-style editing of the command line: emacs and vi keymaps with a kill ring
+//
+// The editor only works on `{ text, cursor }`; TerminalUI feeds it keys and
+// writes the result back into the input. Keys it does not bind (Enter, Tab,
+// Up/Down, Ctrl+C, Ctrl+R, plain typing) are left to the terminal and the browser.
+
+export const KEYMAPS = ['emacs', 'vi'];
+
+const KILL_RING_SIZE = 16;
+
+// Letters are read from `code` with Ctrl/Alt: on macOS Alt+B types "∫"
+export function describeKey(event) {
+    const letter = /^Key([A-Z])$/.exec(event.code || '');
+    const key = (event.ctrlKey || event.altKey) && letter ? letter[1].toLowerCase() : event.key;
+    if (event.metaKey || (event.ctrlKey && event.altKey)) return null;
+    if (event.ctrlKey) return `C-${key}`;
+    if (event.altKey) return `M-${key}`;
+    return key;
+}
+
+const isAlphanumeric = (char) => /[\p{L}\p{N}]/u.test(char);
+const isSpace = (char) => /\s/.test(char);
+
+// vi words: runs of word characters or runs of other non-blank characters
+const charClass = (char) => (isSpace(char) ? 0 : (/[\p{L}\p{N}_]/u.test(char) ? 1 : 2));
+
+// Emacs word motions skip to the end (or start) of the next alphanumeric run
+function forwardWord(text, position) {
+    while (position < text.length && !isAlphanumeric(text[position])) position++;
+    while (position < text.length && isAlphanumeric(text[position])) position++;
+    return position;
+}
+
+function backwardWord(text, position) {
+    while (position > 0 && !isAlphanumeric(text[position - 1])) position--;
+    while (position > 0 && isAlphanumeric(text[position - 1])) position--;
+    return position;
+}
+
+// Ctrl+W: back to the previous whitespace
+function backwardBlankWord(text, position) {
+    while (position > 0 && isSpace(text[position - 1])) position--;
+    while (position > 0 && !isSpace(text[position - 1])) position--;
+    return position;
+}
+
+function viForwardWord(text, position) {
+    const start = charClass(text[position]);
+    if (start !== 0) {
+        while (position < text.length && charClass(text[position]) === start) position++;
+    }
+    while (position < text.length && isSpace(text[position])) position++;
+    return position;
+}
+
+function viBackwardWord(text, position) {
+    while (position > 0 && isSpace(text[position - 1])) position--;
+    const start = charClass(text[position - 1]);
+    while (position > 0 && charClass(text[position - 1]) === start) position--;
+    return position;
+}
+
+// Position of the last character of the current or next word
+function viEndOfWord(text, position) {
+    position++;
+    while (position < text.length && isSpace(text[position])) position++;
+    const start = charClass(text[position]);
+    while (position + 1 < text.length && charClass(text[position + 1]) === start) position++;
+    return Math.min(position, text.length - 1);
+}
+
+const EMACS_BINDINGS = {
+    'C-a': 'beginningOfLine',
+    'C-e': 'endOfLine',
+    'C-b': 'backwardChar',
+    'C-f': 'forwardChar',
+    'M-b': 'backwardWord',
+    'M-f': 'forwardWord',
+    'C-h': 'backwardDeleteChar',
+    'C-d': 'deleteChar',
+    'C-t': 'transposeChars',
+    'C-u': 'killLineBackward',
+    'C-k': 'killLine',
+    'C-w': 'killBlankWordBackward',
+    'M-Backspace': 'killWordBackward',
+    'C-Backspace': 'killWordBackward',
+    'M-d': 'killWord',
+    'C-y': 'yank',
+    'M-y': 'yankPop'
+};
+
+/**
+ * One editor per terminal. With the emacs keymap (the default) the bindings
+ * above always apply. The vi keymap starts every line in insert mode, which
+ * keeps those bindings; Escape switches to normal mode with vi's motions,
+ * operators (d, c, y), p/P, r, ~ and a one-step undo.
+ */
+export class LineEditor {
+    constructor() {
+        this.keymap = 'emacs';
+        this.viMode = 'insert';
+        
+        // Killed text, most recent first; consecutive kills grow the same entry
+        this.killRing = [];
+        // What the current and the previous key did ('kill', 'yank' or null)
+        this.command = null;
+        this.lastCommand = null;
+        this.yankState = null;
+        
+        // vi normal mode: an operator waiting for its motion, `r` waiting for a character
+        this.pending = null;
+        this.undoState = null;
+    }
+    
+    setKeymap(name) {
+        if (!KEYMAPS.includes(name)) {
+            throw new Error(`unknown keymap: ${name}`);
+        }
+        this.keymap = name;
+        this.reset();
+    }
+    
+    get isViNormal() {
+        return this.keymap === 'vi' && this.viMode === 'normal';
+    }
+    
+    // A new line starts in insert mode with nothing pending
+    reset() {
+        this.viMode = 'insert';
+        this.pending = null;
+        this.undoState = null;
+        this.lastCommand = null;
+    }
+    
+    /**
+     * The edited `{ text, cursor }` for a key, optionally with an `action`
+     * for the terminal (`previous-history`, `next-history`), or null when the
+     * key is not an editing key.
+     */
+    handleKey(event, state) {
+        const key = describeKey(event);
+        if (!key || ['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) {
+            return null;
+        }
+        
+        this.command = null;
+        let result;
+        if (this.keymap === 'vi' && this.viMode === 'normal') {
+            result = this.handleViNormalKey(key, state);
+        } else if (this.keymap === 'vi' && key === 'Escape') {
+            result = this.enterNormalMode(state);
+        } else {
+            const name = EMACS_BINDINGS[key];
+            result = name ? this[name](state) : null;
+        }
+        
+        // Kills only join when nothing else happened in between
+        this.lastCommand = this.command;
+        return result;
+    }
+    
+    beginningOfLine({ text }) {
+        return { text, cursor: 0 };
+    }
+    
+    endOfLine({ text }) {
+        return { text, cursor: text.length };
+    }
+    
+    backwardChar({ text, cursor }) {
+        return { text, cursor: Math.max(cursor - 1, 0) };
+    }
+    
+    forwardChar({ text, cursor }) {
+        return { text, cursor: Math.min(cursor + 1, text.length) };
+    }
+    
+    backwardWord({ text, cursor }) {
+        return { text, cursor: backwardWord(text, cursor) };
+    }
+    
+    forwardWord({ text, cursor }) {
+        return { text, cursor: forwardWord(text, cursor) };
+    }
+    
+    backwardDeleteChar({ text, cursor }) {
+        if (cursor === 0) return { text, cursor };
+        return { text: text.slice(0, cursor - 1) + text.slice(cursor), cursor: cursor - 1 };
+    }
+    
+    deleteChar({ text, cursor }) {
+        return { text: text.slice(0, cursor) + text.slice(cursor + 1), cursor };
+    }
+    
+    // Swap the characters around the cursor (the last two at the end of the line)
+    transposeChars({ text, cursor }) {
+        const at = Math.min(cursor, text.length - 1);
+        if (at < 1) return { text, cursor };
+        return {
+            text: text.slice(0, at - 1) + text[at] + text[at - 1] + text.slice(at + 1),
+            cursor: at + 1
+        };
+    }
+    
+    // Killing backwards puts the text in front of the previous kill, forwards after it
+    kill({ text }, start, end, backward = false) {
+        const killed = text.slice(start, end);
+        if (killed && this.lastCommand === 'kill' && this.killRing.length) {
+            this.killRing[0] = backward ? killed + this.killRing[0] : this.killRing[0] + killed;
+        } else if (killed) {
+            this.pushKill(killed);
+        }
+        this.command = 'kill';
+        return { text: text.slice(0, start) + text.slice(end), cursor: start };
+    }
+    
+    pushKill(text) {
+        this.killRing.unshift(text);
+        this.killRing.length = Math.min(this.killRing.length, KILL_RING_SIZE);
+    }
+    
+    killLineBackward(state) {
+        return this.kill(state, 0, state.cursor, true);
+    }
+    
+    killLine(state) {
+        return this.kill(state, state.cursor, state.text.length);
+    }
+    
+    killBlankWordBackward(state) {
+        return this.kill(state, backwardBlankWord(state.text, state.cursor), state.cursor, true);
+    }
+    
+    killWordBackward(state) {
+        return this.kill(state, backwardWord(state.text, state.cursor), state.cursor, true);
+    }
+    
+    killWord(state) {
+        return this.kill(state, state.cursor, forwardWord(state.text, state.cursor));
+    }
+    
+    yank({ text, cursor }) {
+        if (!this.killRing.length) return { text, cursor };
+        const yanked = this.killRing[0];
+        this.yankState = { start: cursor, end: cursor + yanked.length, index: 0 };
+        this.command = 'yank';
+        return { text: text.slice(0, cursor) + yanked + text.slice(cursor), cursor: cursor + yanked.length };
+    }
+    
+    // Right after a yank, replace the yanked text with the next older kill
+    yankPop({ text, cursor }) {
+        if (this.lastCommand !== 'yank' || this.killRing.length < 2) return { text, cursor };
+        
+        const { start, end } = this.yankState;
+        const index = (this.yankState.index + 1) % this.killRing.length;
+        const yanked = this.killRing[index];
+        this.yankState = { start, end: start + yanked.length, index };
+        this.command = 'yank';
+        return { text: text.slice(0, start) + yanked + text.slice(end), cursor: start + yanked.length };
+    }
+    
+    enterNormalMode({ text, cursor }) {
+        this.viMode = 'normal';
+        this.pending = null;
+        // Like vi, leaving insert mode steps back onto the last typed character
+        return { text, cursor: Math.max(cursor - 1, 0) };
+    }
+    
+    enterInsertMode(text, cursor) {
+        this.viMode = 'insert';
+        return { text, cursor };
+    }
+    
+    // Target of a motion key in normal mode, or null if `key` is not a motion
+    viMotion(key, text, cursor) {
+        switch (key) {
+            case 'h': case 'ArrowLeft': case 'Backspace': return Math.max(cursor - 1, 0);
+            case 'l': case 'ArrowRight': case ' ': return Math.min(cursor + 1, text.length);
+            case '0': case 'Home': return 0;
+            case '^': return text.search(/\S|$/);
+            case '$': case 'End': return text.length;
+            case 'w': return viForwardWord(text, cursor);
+            case 'b': return viBackwardWord(text, cursor);
+            case 'e': return viEndOfWord(text, cursor);
+            default: return null;
+        }
+    }
+    
+    // Keep a copy for `u`, then edit
+    change(state, edit) {
+        this.undoState = { ...state };
+        return edit;
+    }
+    
+    handleViNormalKey(key, state) {
+        const { text } = state;
+        // The block cursor sits on a character, never after the last one
+        const cursor = Math.min(state.cursor, Math.max(text.length - 1, 0));
+        const onLine = (position) => Math.min(position, Math.max(text.length - 1, 0));
+        
+        if (this.pending && this.pending.operator === 'r') {
+            this.pending = null;
+            if (key.length !== 1 || !text) return { text, cursor };
+            return this.change(state, { text: text.slice(0, cursor) + key + text.slice(cursor + 1), cursor });
+        }
+        
+        if (this.pending) {
+            return this.applyOperator(this.pending.operator, key, { text, cursor });
+        }
+        
+        const motion = this.viMotion(key, text, cursor);
+        if (motion !== null) {
+            return { text, cursor: onLine(motion) };
+        }
+        
+        switch (key) {
+            case 'i': return this.change(state, this.enterInsertMode(text, cursor));
+            case 'a': return this.change(state, this.enterInsertMode(text, Math.min(cursor + 1, text.length)));
+            case 'I': return this.change(state, this.enterInsertMode(text, text.search(/\S|$/)));
+            case 'A': return this.change(state, this.enterInsertMode(text, text.length));
+            case 'x': return this.change(state, this.viKill({ text, cursor }, cursor, cursor + 1, false));
+            case 'X': return this.change(state, this.viKill({ text, cursor }, Math.max(cursor - 1, 0), cursor, false));
+            case 's': return this.change(state, this.viKill({ text, cursor }, cursor, cursor + 1, true));
+            case 'S': return this.change(state, this.viKill({ text, cursor }, 0, text.length, true));
+            case 'D': return this.change(state, this.viKill({ text, cursor }, cursor, text.length, false));
+            case 'C': return this.change(state, this.viKill({ text, cursor }, cursor, text.length, true));
+            case 'p': return this.change(state, this.viPut(text, Math.min(cursor + 1, text.length)));
+            case 'P': return this.change(state, this.viPut(text, cursor));
+            case '~': {
+                if (!text) return { text, cursor };
+                const char = text[cursor];
+                const toggled = char === char.toUpperCase() ? char.toLowerCase() : char.toUpperCase();
+                return this.change(state, { text: text.slice(0, cursor) + toggled + text.slice(cursor + 1), cursor: onLine(cursor + 1) });
+            }
+            case 'u': {
+                if (!this.undoState) return { text, cursor };
+                const previous = this.undoState;
+                this.undoState = { text, cursor };
+                return { ...previous, cursor: Math.min(previous.cursor, Math.max(previous.text.length - 1, 0)) };
+            }
+            case 'd': case 'c': case 'y': case 'r':
+                this.pending = { operator: key };
+                return { text, cursor };
+            case 'k': return { text, cursor, action: 'previous-history' };
+            case 'j': return { text, cursor, action: 'next-history' };
+            case 'Escape':
+                // Nothing to cancel: let the terminal have Escape
+                return null;
+            default:
+                // Other characters do nothing in normal mode; Enter, Tab, arrows and Ctrl keys go to the terminal
+                return key.length === 1 ? { text, cursor } : null;
+        }
+    }
+    
+    // d, c or y followed by a motion, or doubled for the whole line (dd, cc, yy)
+    applyOperator(operator, key, state) {
+        const { text, cursor } = state;
+        this.pending = null;
+        
+        let start;
+        let end;
+        if (key === operator) {
+            start = 0;
+            end = text.length;
+        } else {
+            // `cw` changes to the end of the word, like `ce`
+            const motionKey = operator === 'c' && key === 'w' ? 'e' : key;
+            const target = this.viMotion(motionKey, text, cursor);
+            if (target === null) return { text, cursor };
+            
+            // `e` includes the character it lands on
+            const inclusive = motionKey === 'e';
+            start = Math.min(cursor, target);
+            end = Math.max(cursor, target) + (inclusive ? 1 : 0);
+        }
+        
+        if (operator === 'y') {
+            this.pushKill(text.slice(start, end));
+            return { text, cursor: Math.min(start, Math.max(text.length - 1, 0)) };
+        }
+        return this.change(state, this.viKill(state, start, end, operator === 'c'));
+    }
+    
+    // Delete into the kill ring (vi's unnamed register); `insert` continues in insert mode
+    viKill({ text }, start, end, insert) {
+        if (end > start) {
+            this.pushKill(text.slice(start, end));
+        }
+        const rest = text.slice(0, start) + text.slice(end);
+        if (insert) {
+            return this.enterInsertMode(rest, start);
+        }
+        return { text: rest, cursor: Math.min(start, Math.max(rest.length - 1, 0)) };
+    }
+    
+    viPut(text, position) {
+        if (!this.killRing.length) return { text, cursor: position };
+        const put = this.killRing[0];
+        return { text: text.slice(0, position) + put + text.slice(position), cursor: position + put.length - 1 };
+    }
+}
@@ -1,6 +1,12 @@
 // Mobile Controller - Handles mobile-specific interactions and UI
+import { I18n } from './I18n.js';
+
 export class MobileController {
-    constructor() {
+    constructor(app = null) {
+        // Owning app, used to reach the scene and scroll controllers
+        this.app = app;
+        this.i18n = app && app.i18n ? app.i18n : new I18n();
+        
         // Mobile state
         this.isMobileMenuOpen = false;
         this.touchStartY = 0;
@@ -18,6 +24,21 @@ export class MobileController {
         this.gestureThreshold = 50;
         this.swipeVelocityThreshold = 0.5;
         
+        // Bound handlers so dispose() can remove them
+        this.toggleMobileMenu = this.toggleMobileMenu.bind(this);
+        this.handleMenuTouchStart = this.handleMenuTouchStart.bind(this);
+        this.handleNavClick = this.handleNavClick.bind(this);
+        this.handleOrientationChange = this.handleOrientationChange.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.preventDefaultTouch = this.preventDefaultTouch.bind(this);
+        this.handleDeviceMotion = this.handleDeviceMotion.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleGestureStart = this.handleGestureStart.bind(this);
+        this.handleGestureChange = this.handleGestureChange.bind(this);
+        this.handleGestureEnd = this.handleGestureEnd.bind(this);
+        
         this.init();
     }
     
@@ -75,39 +96,39 @@ export class MobileController {
     setupEventListeners() {
         // Menu toggle
         if (this.menuToggle) {
-            this.menuToggle.addEventListener('click', this.toggleMobileMenu.bind(this));
-            this.menuToggle.addEventListener('touchstart', this.handleMenuTouchStart.bind(this));
+            this.menuToggle.addEventListener('click', this.toggleMobileMenu);
+            this.menuToggle.addEventListener('touchstart', this.handleMenuTouchStart);
         }
         
         // Navigation links
         if (this.mobileNav) {
-            this.mobileNav.addEventListener('click', this.handleNavClick.bind(this));
+            this.mobileNav.addEventListener('click', this.handleNavClick);
         }
         
         // Orientation change
-        window.addEventListener('orientationchange', this.handleOrientationChange.bind(this));
-        window.addEventListener('resize', this.handleResize.bind(this));
+        window.addEventListener('orientationchange', this.handleOrientationChange);
+        window.addEventListener('resize', this.handleResize);
         
         // Prevent default touch behaviors
-        document.addEventListener('touchstart', this.preventDefaultTouch.bind(this), { passive: false });
-        document.addEventListener('touchmove', this.preventDefaultTouch.bind(this), { passive: false });
+        document.addEventListener('touchstart', this.preventDefaultTouch, { passive: false });
+        document.addEventListener('touchmove', this.preventDefaultTouch, { passive: false });
         
         // Handle device motion for subtle effects
         if (window.DeviceMotionEvent) {
-            window.addEventListener('devicemotion', this.handleDeviceMotion.bind(this));
+            window.addEventListener('devicemotion', this.handleDeviceMotion);
         }
     }
     
     setupGestureRecognition() {
         // Swipe gestures for navigation
-        document.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: true });
-        document.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        document.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: true });
+        document.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+        document.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+        document.addEventListener('touchend', this.handleTouchEnd, { passive: true });
         
         // Pinch gestures (for future zoom functionality)
-        document.addEventListener('gesturestart', this.handleGestureStart.bind(this), { passive: false });
-        document.addEventListener('gesturechange', this.handleGestureChange.bind(this), { passive: false });
-        document.addEventListener('gestureend', this.handleGestureEnd.bind(this), { passive: false });
+        document.addEventListener('gesturestart', this.handleGestureStart, { passive: false });
+        document.addEventListener('gesturechange', this.handleGestureChange, { passive: false });
+        document.addEventListener('gestureend', this.handleGestureEnd, { passive: false });
     }
     
     handleTouchStart(event) {
@@ -188,30 +209,30 @@ export class MobileController {
     
     handleSwipeUp() {
         // Quick navigation forward
-        if (window.portfolioApp && window.portfolioApp.scrollController) {
-            window.portfolioApp.scrollController.scrollToNext();
+        if (this.app && this.app.scrollController) {
+            this.app.scrollController.scrollToNext();
         }
         
-        this.showSwipeHint('Swiped up - Next section');
+        this.showSwipeHint(this.i18n.t('mobile.swipeUp'));
     }
     
     handleSwipeDown() {
         // Quick navigation backward
-        if (window.portfolioApp && window.portfolioApp.scrollController) {
-            window.portfolioApp.scrollController.scrollToPrevious();
+        if (this.app && this.app.scrollController) {
+            this.app.scrollController.scrollToPrevious();
         }
         
-        this.showSwipeHint('Swiped down - Previous section');
+        this.showSwipeHint(this.i18n.t('mobile.swipeDown'));
     }
     
     handleSlowSwipeUp() {
         // Gradual scroll forward
-        this.showSwipeHint('Scrolling forward...');
+        this.showSwipeHint(this.i18n.t('mobile.scrollForward'));
     }
     
     handleSlowSwipeDown() {
         // Gradual scroll backward
-        this.showSwipeHint('Scrolling backward...');
+        this.showSwipeHint(this.i18n.t('mobile.scrollBackward'));
     }
     
     showSwipeHint(message) {
@@ -224,11 +245,11 @@ export class MobileController {
             top: 50%;
             left: 50%;
             transform: translate(-50%, -50%);
-            background: rgba(0, 255, 65, 0.1);
-            border: 1px solid rgba(0, 255, 65, 0.3);
+            background: var(--theme-accent-soft);
+            border: 1px solid var(--theme-accent-muted);
             padding: 10px 20px;
             border-radius: 5px;
-            color: #00ff41;
+            color: var(--theme-accent);
             font-family: 'Courier New', monospace;
             font-size: 14px;
             z-index: 1000;
@@ -356,8 +377,8 @@ export class MobileController {
             this.adjustForOrientation();
             
             // Trigger resize on scene manager
-            if (window.portfolioApp && window.portfolioApp.sceneManager) {
-                window.portfolioApp.sceneManager.handleResize();
+            if (this.app && this.app.sceneManager) {
+                this.app.sceneManager.handleResize();
             }
         }, 500); // Delay to ensure orientation change is complete
     }
@@ -434,8 +455,8 @@ export class MobileController {
         const offsetY = Math.max(-maxOffset, Math.min(maxOffset, y * parallaxFactor));
         
         // Apply to background grid or particles if they exist
-        if (window.portfolioApp && window.portfolioApp.sceneManager) {
-            const sceneManager = window.portfolioApp.sceneManager;
+        if (this.app && this.app.sceneManager) {
+            const sceneManager = this.app.sceneManager;
             if (sceneManager.backgroundGrid) {
                 sceneManager.backgroundGrid.position.x = offsetX * 0.1;
                 sceneManager.backgroundGrid.position.z = offsetY * 0.1;
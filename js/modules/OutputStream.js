@@ -0,0 +1,42 @@
+// Output Stream - Line-oriented stdout/stderr for terminal commands
+import { stripAnsi } from './RichText.js';
+
+// Split text into lines, ignoring the newline that terminates the last one
+export function splitLines(text) {
+    if (!text) return [];
+    return String(text).replace(/\n$/, '').split('\n');
+}
+
+export class OutputStream {
+    constructor(sink = null) {
+        // When a sink is given every line goes straight to it (e.g. the screen),
+        // otherwise lines are buffered for the next command in a pipeline
+        this.sink = sink;
+        // Like a tty: only the screen gets colours and links, pipes and files get plain text
+        this.isTTY = Boolean(sink);
+        this.lines = [];
+    }
+    
+    // Accepts a string (possibly multi-line) or an array of lines, like showResponse()
+    write(output) {
+        const lines = Array.isArray(output) ? output : splitLines(output);
+        
+        // An explicit empty string is still an (empty) line
+        if (!Array.isArray(output) && output === '') {
+            lines.push('');
+        }
+        
+        lines.forEach(line => {
+            const text = String(line);
+            if (this.sink) {
+                this.sink(text);
+            } else {
+                this.lines.push(stripAnsi(text));
+            }
+        });
+    }
+    
+    toString() {
+        return this.lines.length ? `${this.lines.join('\n')}\n` : '';
+    }
+}
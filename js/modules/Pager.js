@@ -0,0 +1,40 @@
+// Pager - Shows long output one screen at a time, like `more`
+import { dim } from './RichText.js';
+
+const NEXT_PAGE_KEYS = [' ', 'PageDown', 'f'];
+const NEXT_LINE_KEYS = ['Enter', 'ArrowDown', 'j'];
+const QUIT_KEYS = ['q', 'Q', 'Escape'];
+
+/**
+ * Write `lines` to `io.stdout`, pausing after every screenful until a key
+ * is pressed: Space for the next page, Enter for the next line, q to stop.
+ * Output that goes into a pipe or a file, or a job in the background, gets
+ * every line at once.
+ */
+export async function page(terminal, lines, io) {
+    if (!io.stdout.isTTY || !terminal.isForeground(io)) {
+        io.stdout.write(lines);
+        return;
+    }
+    
+    // One row stays free for the prompt
+    const pageSize = Math.max(terminal.getRows() - 1, 1);
+    let shown = 0;
+    let step = pageSize;
+    
+    while (shown < lines.length) {
+        io.stdout.write(lines.slice(shown, shown + step));
+        shown = Math.min(shown + step, lines.length);
+        if (shown === lines.length) break;
+        
+        // The prompt is not output: it is neither recorded nor left in the scrollback
+        const percent = Math.round((shown / lines.length) * 100);
+        const prompt = terminal.scrollback.push(dim(`--More-- (${percent}%)  Space: next page, Enter: next line, q: quit`));
+        terminal.scrollToBottom();
+        const key = await terminal.readKey(io.signal);
+        terminal.scrollback.remove(prompt);
+        
+        if (key === null || QUIT_KEYS.includes(key)) break;
+        step = NEXT_PAGE_KEYS.includes(key) ? pageSize : (NEXT_LINE_KEYS.includes(key) ? 1 : 0);
+    }
+}
@@ -0,0 +1,77 @@
+// Prompter - Questions a running command can ask: text, yes/no, a choice from a list
+import { dim, bold, commandLink } from './RichText.js';
+
+export class PromptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptError';
+    }
+}
+
+/**
+ * Every question is asked again until the answer is valid. `validate`
+ * returns an error message for a bad answer and nothing for a good one.
+ * Questions reject with a PromptError when the command is not in the
+ * foreground (nobody can answer) or is interrupted with Ctrl+C.
+ *
+ *     const email = await terminal.prompter.ask(io, 'Email', { validate: checkEmail });
+ *     if (await terminal.prompter.confirm(io, 'Send it?')) { ... }
+ */
+export class Prompter {
+    constructor(terminal) {
+        this.terminal = terminal;
+    }
+    
+    async ask(io, question, { default: fallback = '', mask = false, required = false, validate = null } = {}) {
+        if (!this.terminal.isForeground(io)) {
+            throw new PromptError('cannot ask questions when not in the foreground');
+        }
+        
+        const hint = fallback && !mask ? dim(` [${fallback}]`) : '';
+        const prompt = `${bold('?')} ${question}${hint}: `;
+        
+        for (;;) {
+            const line = await this.terminal.readLine(io.signal, { prompt, mask });
+            if (line === null) {
+                throw new PromptError('interrupted');
+            }
+            
+            // Passwords are taken as typed, other answers without surrounding spaces
+            const answer = (mask ? line : line.trim()) || fallback;
+            const error = !answer && required ? 'An answer is required.' : (validate && validate(answer));
+            if (!error) {
+                return answer;
+            }
+            io.stderr.write(`  ${error}`);
+        }
+    }
+    
+    async confirm(io, question, { default: fallback = true } = {}) {
+        const answer = await this.ask(io, `${question} ${dim(fallback ? '(Y/n)' : '(y/N)')}`, {
+            validate: value => (!value || /^(y|yes|n|no)$/i.test(value) ? null : 'Please answer yes or no.')
+        });
+        return answer ? /^y/i.test(answer) : fallback;
+    }
+    
+    /**
+     * Pick one of `choices` (strings or `{ label, value }`) by number or by
+     * label; the numbers are clickable. Resolves with the chosen value.
+     */
+    async select(io, question, choices, { default: defaultIndex = 0 } = {}) {
+        const options = choices.map(choice => (typeof choice === 'string' ? { label: choice, value: choice } : choice));
+        
+        io.stdout.write(`${bold('?')} ${question}`);
+        io.stdout.write(options.map(({ label }, index) => `  ${commandLink(String(index + 1))}) ${label}`));
+        
+        const find = (answer) => {
+            const index = Number(answer) - 1;
+            return options[index] || options.find(({ label }) => label.toLowerCase() === answer.toLowerCase());
+        };
+        
+        const answer = await this.ask(io, `Choice 1-${options.length}`, {
+            default: String(defaultIndex + 1),
+            validate: value => (find(value) ? null : `Please enter a number from 1 to ${options.length}.`)
+        });
+        return find(answer).value;
+    }
+}
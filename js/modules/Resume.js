@@ -0,0 +1,258 @@
+// Resume - Builds the resume from the site content, entirely in the browser
+import { wrapText } from './RichText.js';
+
+// Download formats of `resume --format`; pdf goes through the browser's print dialog
+export const RESUME_FORMATS = {
+    pdf: { extension: 'pdf', type: 'application/pdf' },
+    html: { extension: 'html', type: 'text/html' },
+    md: { extension: 'md', type: 'text/markdown' },
+    txt: { extension: 'txt', type: 'text/plain' },
+    json: { extension: 'json', type: 'application/json' }
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatPeriod({ start, end }) {
+    if (!start) return end || '';
+    return `${start} – ${end || 'present'}`;
+}
+
+// The resume as data: the same sections in the order every format prints them
+function getSections(content) {
+    const { experience = [], education = [], projects } = content;
+    
+    return [
+        { title: 'Summary', paragraphs: content.bio },
+        { title: 'Skills', paragraphs: content.skills.length ? [content.skills.join(', ')] : [] },
+        {
+            title: 'Experience',
+            entries: experience.map(job => ({
+                heading: `${job.position}, ${job.company}`,
+                period: formatPeriod(job),
+                url: job.url,
+                paragraphs: job.summary ? [job.summary] : [],
+                bullets: job.highlights || []
+            }))
+        },
+        {
+            title: 'Projects',
+            entries: projects.map(project => ({
+                heading: project.title,
+                url: project.url,
+                paragraphs: [project.description],
+                bullets: [],
+                tags: project.tags || []
+            }))
+        },
+        {
+            title: 'Education',
+            entries: education.map(school => ({
+                heading: [school.degree, school.area].filter(Boolean).join(', '),
+                subheading: school.institution,
+                period: formatPeriod(school),
+                paragraphs: [],
+                bullets: []
+            }))
+        }
+    ].filter(section => (section.paragraphs || section.entries).length);
+}
+
+function getContactLine(content) {
+    return [content.role, content.contact.email, content.website].join(' · ');
+}
+
+export function resumeToMarkdown(content) {
+    const lines = [`# ${content.name}`, '', getContactLine(content)];
+    
+    getSections(content).forEach(section => {
+        lines.push('', `## ${section.title}`, '');
+        (section.paragraphs || []).forEach((paragraph, index) => {
+            lines.push(...(index ? [''] : []), paragraph);
+        });
+        (section.entries || []).forEach((entry, index) => {
+            const heading = entry.url ? `[${entry.heading}](${entry.url})` : entry.heading;
+            lines.push(...(index ? [''] : []), `### ${heading}`);
+            if (entry.subheading || entry.period) {
+                lines.push('', `*${[entry.subheading, entry.period].filter(Boolean).join(' · ')}*`);
+            }
+            entry.paragraphs.forEach(paragraph => lines.push('', paragraph));
+            if (entry.bullets.length) {
+                lines.push('', ...entry.bullets.map(bullet => `- ${bullet}`));
+            }
+            if (entry.tags && entry.tags.length) {
+                lines.push('', `Tags: ${entry.tags.join(', ')}`);
+            }
+        });
+    });
+    
+    return `${lines.join('\n')}\n`;
+}
+
+// Plain text wrapped to `width` columns, for files and the terminal
+export function resumeToText(content, { width = 80 } = {}) {
+    const wrap = (text, indent = '') => wrapText(text, width - indent.length).map(line => indent + line);
+    const lines = [content.name.toUpperCase(), ...wrap(getContactLine(content))];
+    
+    getSections(content).forEach(section => {
+        lines.push('', section.title.toUpperCase(), '-'.repeat(section.title.length));
+        (section.paragraphs || []).forEach((paragraph, index) => {
+            lines.push(...(index ? [''] : []), ...wrap(paragraph));
+        });
+        (section.entries || []).forEach((entry, index) => {
+            if (index) lines.push('');
+            lines.push(...wrap([entry.heading, entry.subheading, entry.period].filter(Boolean).join(' · ')));
+            if (entry.url) lines.push(`  ${entry.url}`);
+            entry.paragraphs.forEach(paragraph => lines.push(...wrap(paragraph, '  ')));
+            entry.bullets.forEach(bullet => {
+                const [first, ...rest] = wrap(bullet, '    ');
+                lines.push(`  * ${first.trimStart()}`, ...rest);
+            });
+            if (entry.tags && entry.tags.length) lines.push(...wrap(`Tags: ${entry.tags.join(', ')}`, '  '));
+        });
+    });
+    
+    return `${lines.join('\n')}\n`;
+}
+
+// JSON Resume (https://jsonresume.org/schema), which many resume themes can render
+export function toJsonResume(content) {
+    const { contact, experience = [], education = [] } = content;
+    
+    return {
+        $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+        basics: {
+            name: content.name,
+            label: content.role,
+            email: contact.email,
+            url: content.website,
+            summary: content.bio.join('\n\n'),
+            profiles: (contact.links || [])
+                .filter(({ url }) => url !== content.website)
+                .map(({ label, url }) => ({ network: label, url }))
+        },
+        work: experience.map(job => ({
+            name: job.company,
+            position: job.position,
+            url: job.url,
+            startDate: job.start,
+            endDate: job.end,
+            summary: job.summary,
+            highlights: job.highlights
+        })),
+        education: education.map(school => ({
+            institution: school.institution,
+            area: school.area,
+            studyType: school.degree,
+            startDate: school.start,
+            endDate: school.end
+        })),
+        skills: content.skills.map(name => ({ name })),
+        projects: content.projects.map(project => ({
+            name: project.title,
+            description: project.description,
+            url: project.url,
+            keywords: project.tags
+        }))
+    };
+}
+
+// Screen and print styles of the HTML resume; printing drops the links' colour and keeps entries on one page
+const RESUME_STYLES = `
+body { max-width: 46rem; margin: 2rem auto; padding: 0 1.5rem; font: 15px/1.5 Georgia, 'Times New Roman', serif; color: #222; }
+h1 { margin: 0; font-size: 2rem; }
+h2 { margin: 1.75rem 0 0.5rem; font-size: 1rem; letter-spacing: 0.1em; text-transform: uppercase; border-bottom: 1px solid #ccc; }
+h3 { margin: 0; font-size: 1rem; }
+.contact, .period, .tags { color: #666; }
+.entry { margin-bottom: 1rem; }
+.entry p, .entry ul { margin: 0.25rem 0; }
+a { color: #0b57d0; }
+@page { margin: 1.5cm; }
+@media print {
+  body { margin: 0; max-width: none; padding: 0; font-size: 11pt; }
+  a { color: inherit; text-decoration: none; }
+  .entry { break-inside: avoid; }
+  h2 { break-after: avoid; }
+}`;
+
+// A standalone, printable page
+export function resumeToHtml(content) {
+    const entryHtml = (entry) => [
+        '<div class="entry">',
+        `<h3>${entry.url ? `<a href="${escapeHtml(entry.url)}">${escapeHtml(entry.heading)}</a>` : escapeHtml(entry.heading)}</h3>`,
+        ...(entry.subheading || entry.period
+            ? [`<div class="period">${escapeHtml([entry.subheading, entry.period].filter(Boolean).join(' · '))}</div>`]
+            : []),
+        ...entry.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        ...(entry.bullets.length ? [`<ul>${entry.bullets.map(bullet => `<li>${escapeHtml(bullet)}</li>`).join('')}</ul>`] : []),
+        ...(entry.tags && entry.tags.length ? [`<p class="tags">${entry.tags.map(escapeHtml).join(' · ')}</p>`] : []),
+        '</div>'
+    ].join('\n');
+    
+    const sections = getSections(content).map(section => [
+        '<section>',
+        `<h2>${escapeHtml(section.title)}</h2>`,
+        ...(section.paragraphs || []).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        ...(section.entries || []).map(entryHtml),
+        '</section>'
+    ].join('\n'));
+    
+    const { email } = content.contact;
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(content.name)} – Resume</title>`,
+        `<style>${RESUME_STYLES}\n</style>`,
+        '</head>',
+        '<body>',
+        '<header>',
+        `<h1>${escapeHtml(content.name)}</h1>`,
+        `<div class="contact">${escapeHtml(content.role)} · <a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a>`
+            + ` · <a href="${escapeHtml(content.website)}">${escapeHtml(content.website)}</a></div>`,
+        '</header>',
+        ...sections,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+export function formatResume(content, format, options = {}) {
+    switch (format) {
+        case 'md': return resumeToMarkdown(content);
+        case 'txt': return resumeToText(content, options);
+        case 'json': return `${JSON.stringify(toJsonResume(content), null, 2)}\n`;
+        default: return resumeToHtml(content);
+    }
+}
+
+/**
+ * Open the print dialog for the HTML resume, where "Save as PDF" makes the
+ * PDF. The page is printed from a hidden frame so the site stays as it is.
+ */
+export function printResume(content) {
+    return new Promise(resolve => {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+        
+        frame.addEventListener('load', () => {
+            const view = frame.contentWindow;
+            // print() blocks in most browsers, afterprint covers the others
+            view.addEventListener('afterprint', () => setTimeout(() => frame.remove(), 0), { once: true });
+            view.focus();
+            view.print();
+            resolve();
+        }, { once: true });
+        
+        frame.srcdoc = resumeToHtml(content);
+        document.body.appendChild(frame);
+    });
+}
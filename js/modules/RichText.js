@@ -0,0 +1,292 @@
+// Rich Text - ANSI colours, OSC 8 hyperlinks, tables and progress bars for terminal output
+//
+// Commands write plain strings with escape sequences; renderAnsi() turns them
+// into DOM nodes built only from text nodes and whitelisted elements, so
+// output can never inject HTML.
+
+const ESC = '\x1b';
+
+// SGR (`ESC [ ... m`) and OSC 8 hyperlinks (`ESC ] 8 ; ; url ST`)
+const ANSI_PATTERN = /\x1b\[([0-9;]*)m|\x1b\]8;[^;\x07\x1b]*;([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+const ANY_ESCAPE = /\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+// Control characters other than tab never reach the screen
+const CONTROL_CHARS = /[\x00-\x08\x0b-\x1f\x7f]/g;
+
+export const COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// Link targets allowed in OSC 8 sequences; `cmd:` runs a terminal command on click
+const SAFE_URL = /^(https?:|mailto:|cmd:)/i;
+
+export const COMMAND_SCHEME = 'cmd:';
+
+// Builders
+export function sgr(codes, text) {
+    return `${ESC}[${codes}m${text}${ESC}[0m`;
+}
+
+export function bold(text) {
+    return sgr('1', text);
+}
+
+export function dim(text) {
+    return sgr('2', text);
+}
+
+export function color(name, text, { bright = false } = {}) {
+    const index = COLORS.indexOf(name);
+    if (index === -1) return text;
+    return sgr(String((bright ? 90 : 30) + index), text);
+}
+
+export function link(url, text = url) {
+    return `${ESC}]8;;${url}${ESC}\\${text}${ESC}]8;;${ESC}\\`;
+}
+
+// Text that runs `command` when clicked
+export function commandLink(command, text = command) {
+    return link(`${COMMAND_SCHEME}${encodeURIComponent(command)}`, text);
+}
+
+export function stripAnsi(text) {
+    return String(text).replace(ANY_ESCAPE, '');
+}
+
+export function visibleLength(text) {
+    return stripAnsi(text).length;
+}
+
+// Pad to a visible width, escape sequences do not count
+export function padVisible(text, width, align = 'left') {
+    const padding = ' '.repeat(Math.max(width - visibleLength(text), 0));
+    return align === 'right' ? padding + text : text + padding;
+}
+
+/**
+ * Split a line into `{ text, style }` segments. `style` holds bold, dim,
+ * italic, underline, fg, bg (colour names, `bright-` prefixed for 90-97)
+ * and href for hyperlinks. Unknown escape sequences are dropped.
+ */
+export function parseAnsi(line) {
+    const segments = [];
+    let style = {};
+    let lastIndex = 0;
+    let match;
+    
+    const pushText = (text) => {
+        const clean = text.replace(ANY_ESCAPE, '').replace(CONTROL_CHARS, '');
+        if (clean) {
+            segments.push({ text: clean, style: { ...style } });
+        }
+    };
+    
+    ANSI_PATTERN.lastIndex = 0;
+    while ((match = ANSI_PATTERN.exec(line)) !== null) {
+        pushText(line.slice(lastIndex, match.index));
+        lastIndex = ANSI_PATTERN.lastIndex;
+        
+        if (match[2] !== undefined) {
+            // OSC 8: an empty URL closes the link
+            const href = match[2] && SAFE_URL.test(match[2]) ? match[2] : null;
+            style = { ...style, href };
+            continue;
+        }
+        
+        style = applySgr(style, match[1]);
+    }
+    pushText(line.slice(lastIndex));
+    
+    return segments;
+}
+
+function applySgr(style, params) {
+    const next = { ...style };
+    const codes = params === '' ? [0] : params.split(';').map(Number);
+    
+    codes.forEach(code => {
+        if (code === 0) {
+            // Reset keeps the hyperlink, it is closed by its own sequence
+            Object.keys(next).forEach(key => key !== 'href' && delete next[key]);
+        } else if (code === 1) next.bold = true;
+        else if (code === 2) next.dim = true;
+        else if (code === 3) next.italic = true;
+        else if (code === 4) next.underline = true;
+        else if (code === 22) { delete next.bold; delete next.dim; }
+        else if (code === 23) delete next.italic;
+        else if (code === 24) delete next.underline;
+        else if (code >= 30 && code <= 37) next.fg = COLORS[code - 30];
+        else if (code === 39) delete next.fg;
+        else if (code >= 40 && code <= 47) next.bg = COLORS[code - 40];
+        else if (code === 49) delete next.bg;
+        else if (code >= 90 && code <= 97) next.fg = `bright-${COLORS[code - 90]}`;
+        else if (code >= 100 && code <= 107) next.bg = `bright-${COLORS[code - 100]}`;
+    });
+    
+    return next;
+}
+
+// Command of a `cmd:` link, or null when it is not valid percent-encoding (echoed text, a replayed cast)
+function decodeCommand(href) {
+    try {
+        return decodeURIComponent(href.slice(COMMAND_SCHEME.length));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Render one line of output as DOM nodes. `cmd:` links become buttons
+ * carrying `data-command`; the terminal runs them on click.
+ */
+export function renderAnsi(line) {
+    const fragment = document.createDocumentFragment();
+    
+    parseAnsi(String(line)).forEach(({ text, style }) => {
+        let node;
+        const command = style.href && style.href.toLowerCase().startsWith(COMMAND_SCHEME)
+            ? decodeCommand(style.href)
+            : null;
+        
+        if (command !== null) {
+            node = document.createElement('button');
+            node.type = 'button';
+            node.className = 'terminal-command-link';
+            node.title = `Run "${command}"`;
+            node.dataset.command = command;
+        } else if (style.href && !style.href.toLowerCase().startsWith(COMMAND_SCHEME)) {
+            node = document.createElement('a');
+            node.href = style.href;
+            node.target = '_blank';
+            node.rel = 'noopener noreferrer';
+            node.className = 'terminal-link';
+        } else if (Object.keys(style).some(key => style[key])) {
+            node = document.createElement('span');
+        } else {
+            fragment.appendChild(document.createTextNode(text));
+            return;
+        }
+        
+        const classes = [];
+        if (style.bold) classes.push('ansi-bold');
+        if (style.dim) classes.push('ansi-dim');
+        if (style.italic) classes.push('ansi-italic');
+        if (style.underline) classes.push('ansi-underline');
+        if (style.fg) classes.push(`ansi-fg-${style.fg}`);
+        if (style.bg) classes.push(`ansi-bg-${style.bg}`);
+        node.classList.add(...classes);
+        
+        node.textContent = text;
+        fragment.appendChild(node);
+    });
+    
+    return fragment;
+}
+
+// Word-wrap plain or escaped text to `width` visible columns
+export function wrapText(text, width) {
+    if (width <= 0 || visibleLength(text) <= width) {
+        return [text];
+    }
+    
+    // Wrapping works on plain text; styled cells are wrapped without their escapes
+    const words = stripAnsi(text).split(/(\s+)/);
+    const lines = [];
+    let current = '';
+    
+    words.forEach(word => {
+        if (/^\s+$/.test(word)) {
+            if (current) current += ' ';
+            return;
+        }
+        
+        while (word.length > width) {
+            if (current.trim()) lines.push(current.trimEnd());
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+            current = '';
+        }
+        
+        if ((current + word).length > width) {
+            lines.push(current.trimEnd());
+            current = word;
+        } else {
+            current += word;
+        }
+    });
+    
+    if (current.trim()) lines.push(current.trimEnd());
+    return lines;
+}
+
+/**
+ * Lay out rows of cells as aligned columns no wider than `width`.
+ * Columns listed in `wrap` (default: the last one) shrink and wrap when the
+ * table does not fit; `align` may set 'right' per column index.
+ */
+export function formatTable(rows, { width = 80, gap = 2, header = null, wrap = null, align = [] } = {}) {
+    const allRows = header ? [header, ...rows] : rows;
+    if (allRows.length === 0) return [];
+    
+    const columnCount = Math.max(...allRows.map(row => row.length));
+    const widths = Array.from({ length: columnCount }, (_, column) => {
+        return Math.max(...allRows.map(row => visibleLength(row[column] ?? '')));
+    });
+    
+    const wrapColumns = wrap || [columnCount - 1];
+    const total = () => widths.reduce((sum, w) => sum + w, 0) + gap * (columnCount - 1);
+    
+    // Shrink the widest wrappable column until the table fits
+    while (total() > width) {
+        const column = wrapColumns.reduce((widest, c) => (widths[c] > widths[widest] ? c : widest), wrapColumns[0]);
+        if (widths[column] <= 10) break;
+        widths[column]--;
+    }
+    
+    const lines = [];
+    allRows.forEach((row, rowIndex) => {
+        const cells = widths.map((w, column) => {
+            const cell = String(row[column] ?? '');
+            return wrapColumns.includes(column) ? wrapText(cell, w) : [cell];
+        });
+        const height = Math.max(...cells.map(cell => cell.length));
+        
+        for (let i = 0; i < height; i++) {
+            const line = cells.map((cell, column) => {
+                const text = cell[i] ?? '';
+                return column === columnCount - 1 && align[column] !== 'right'
+                    ? text
+                    : padVisible(text, widths[column], align[column]);
+            }).join(' '.repeat(gap));
+            lines.push(rowIndex === 0 && header ? bold(line.trimEnd()) : line.trimEnd());
+        }
+    });
+    
+    return lines;
+}
+
+// Items laid out top-to-bottom in as many columns as fit, like `ls` and bash completion
+export function formatColumns(items, { width = 80, gap = 2 } = {}) {
+    if (items.length === 0) return [];
+    
+    const columnWidth = Math.max(...items.map(visibleLength)) + gap;
+    const columns = Math.max(Math.floor((width + gap) / columnWidth), 1);
+    const rows = Math.ceil(items.length / columns);
+    
+    const lines = [];
+    for (let row = 0; row < rows; row++) {
+        const cells = [];
+        for (let column = 0; column < columns; column++) {
+            const item = items[column * rows + row];
+            if (item !== undefined) cells.push(padVisible(item, columnWidth));
+        }
+        lines.push(cells.join('').trimEnd());
+    }
+    return lines;
+}
+
+// `[#########-----------]  45%`
+export function progressBar(fraction, { width = 20, label = true } = {}) {
+    const value = Math.min(Math.max(Number(fraction) || 0, 0), 1);
+    const filled = Math.round(value * width);
+    const bar = `[${color('green', '#'.repeat(filled))}${dim('-'.repeat(width - filled))}]`;
+    return label ? `${bar} ${String(Math.round(value * 100)).padStart(3)}%` : bar;
+}
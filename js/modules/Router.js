@@ -0,0 +1,94 @@
+// Router - Keeps the URL in step with the section shown, the scroll progress and the focused part
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Routes look like `#/projects?progress=0.65&focus=screen`: the section
+ * shown, how far the laptop is taken apart (0 closed, 1 fully
+ * disassembled) and the part the camera looks at. Each of them is
+ * optional; `#/` is the closed laptop.
+ */
+export function formatRoute({ section = null, progress = null, focus = null } = {}) {
+    const params = new URLSearchParams();
+    if (progress > 0) {
+        params.set('progress', String(Math.round(progress * 100) / 100));
+    }
+    if (focus) {
+        params.set('focus', focus);
+    }
+    
+    const query = params.toString();
+    return `#/${section || ''}${query ? `?${query}` : ''}`;
+}
+
+// Unknown sections and parts and progress outside 0..1 are dropped; plain `#about` anchors work too.
+// `progress` is null when the route has none, so restoring it leaves the laptop as it is.
+export function parseRoute(hash, { sections = [], parts = [] } = {}) {
+    const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+    const params = new URLSearchParams(query);
+    const progress = Number(params.get('progress'));
+    const focus = params.get('focus');
+    
+    return {
+        section: sections.includes(path) ? path : null,
+        progress: params.has('progress') && progress >= 0 && progress <= 1 ? progress : null,
+        focus: parts.includes(focus) ? focus : null
+    };
+}
+
+/**
+ * Back and Forward (and editing the hash by hand) emit `navigate` with the
+ * route to restore. Showing a new section adds a history entry; scrolling
+ * and focusing only replace the current one, so Back goes to the previous
+ * section rather than through every scroll step.
+ */
+export class Router extends EventEmitter {
+    constructor({ sections = [], parts = [] } = {}) {
+        super();
+        
+        this.sections = sections;
+        this.parts = parts;
+        this.state = this.read();
+        
+        // Bound handlers so dispose() can remove them
+        this.handlePopState = this.handlePopState.bind(this);
+    }
+    
+    // Starts listening and returns the route the page was opened with
+    start() {
+        window.addEventListener('popstate', this.handlePopState);
+        return this.state;
+    }
+    
+    read() {
+        return parseRoute(window.location.hash, { sections: this.sections, parts: this.parts });
+    }
+    
+    handlePopState() {
+        this.state = this.read();
+        this.emit('navigate', this.state);
+    }
+    
+    // Merge `changes` (`section`, `progress`, `focus`) into the current route
+    update(changes) {
+        const state = { ...this.state, ...changes };
+        const hash = formatRoute(state);
+        const isNewSection = state.section !== this.state.section;
+        this.state = state;
+        
+        if (hash === window.location.hash) return;
+        if (isNewSection) {
+            window.history.pushState(null, '', hash);
+        } else {
+            window.history.replaceState(null, '', hash);
+        }
+    }
+    
+    // Absolute link to `state`, the current route by default
+    url(state = this.state) {
+        return new URL(formatRoute(state), window.location.href).href;
+    }
+    
+    dispose() {
+        window.removeEventListener('popstate', this.handlePopState);
+    }
+}
@@ -1,18 +1,51 @@
 // Three.js Scene Manager - Handles 3D laptop model and animations
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { CSS2DRenderer, CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { EventEmitter } from './EventEmitter.js';
+import { ModelError, PART_ALIASES, findLaptopParts } from './LaptopModel.js';
+import { compileChoreography } from './Choreography.js';
+import { Timeline, tween } from './Timeline.js';
+import disassembly from '../../content/disassembly.json';
+
+// Labels of every part show from this scroll progress on; on the closed laptop they would overlap
+const LABELS_FROM_PROGRESS = 0.3;
 
 export class SceneManager extends EventEmitter {
-    constructor() {
+    constructor({
+        modelUrl = `${import.meta.env.BASE_URL}models/laptop.glb`,
+        partAliases = PART_ALIASES,
+        choreography = disassembly,
+        partSections = {}
+    } = {}) {
         super();
         
+        // Laptop model, and the other names its parts may have (see LaptopModel.js)
+        this.modelUrl = modelUrl;
+        this.partAliases = partAliases;
+        // How the laptop comes apart (see Choreography.js)
+        this.choreography = choreography;
+        // What each part opens, shown on its label
+        this.partSections = partSections;
+        
         // Three.js core objects
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.canvas = null;
         
+        // Post-processing (hover outline) and the HTML labels over the canvas
+        this.composer = null;
+        this.outlinePass = null;
+        this.labelRenderer = null;
+        this.partLabels = new Map();
+        // Top centre of each part's bounding box in the part's own coordinates, where its label goes
+        this.labelAnchors = new Map();
+        
         // Animation and control
         this.animationId = null;
         this.clock = new THREE.Clock();
@@ -21,6 +54,8 @@ export class SceneManager extends EventEmitter {
         
         // 3D Model
         this.laptopModel = null;
+        // 'model' when the GLB was used, 'primitives' when the laptop was built instead
+        this.modelSource = null;
         this.laptopParts = new Map();
         this.originalPositions = new Map();
         this.originalRotations = new Map();
@@ -29,17 +64,31 @@ export class SceneManager extends EventEmitter {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.hoveredPart = null;
+        // Part the camera last moved to, see focusOnPart()
+        this.focusedPart = null;
         
         // Scroll and progress
         this.scrollProgress = 0;
         this.disassemblyTimeline = null;
+        this.cameraTween = null;
         
         // Background effects
         this.particleSystem = null;
         this.backgroundGrid = null;
         
+        // Theme colours (see ThemeManager) and the objects that use them
+        this.themeColors = { primary: 0x00ff41, secondary: 0x0088ff, ambient: 0x404040 };
+        this.lights = {};
+        this.accentMaterials = [];
+        
         // Performance
         this.isVisible = true;
+        
+        // Bound handlers so dispose() can remove them
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseClick = this.onMouseClick.bind(this);
+        this.onTouchStart = this.onTouchStart.bind(this);
+        this.onTouchMove = this.onTouchMove.bind(this);
     }
     
     async init() {
@@ -54,9 +103,11 @@ export class SceneManager extends EventEmitter {
             this.setupScene();
             this.setupCamera();
             this.setupLights();
+            this.setupPostProcessing();
             
             // Load 3D model
             await this.loadLaptopModel();
+            this.createPartLabels();
             
             // Setup background effects
             this.setupBackgroundEffects();
@@ -76,7 +127,7 @@ export class SceneManager extends EventEmitter {
     }
     
     setupCanvas() {
-        this.canvas = document.getElementById('main-canvas');
+        this.canvas = document.getElementById('scene');
         if (!this.canvas) {
             throw new Error('Canvas element not found');
         }
@@ -117,11 +168,12 @@ export class SceneManager extends EventEmitter {
     
     setupLights() {
         // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
+        const { primary, secondary, ambient } = this.themeColors;
+        const ambientLight = new THREE.AmbientLight(ambient, 0.4);
         this.scene.add(ambientLight);
         
         // Main directional light
-        const mainLight = new THREE.DirectionalLight(0x00ff41, 1);
+        const mainLight = new THREE.DirectionalLight(primary, 1);
         mainLight.position.set(5, 5, 5);
         mainLight.castShadow = true;
         mainLight.shadow.mapSize.width = 2048;
@@ -129,24 +181,83 @@ export class SceneManager extends EventEmitter {
         this.scene.add(mainLight);
         
         // Accent lights for neon effect
-        const accentLight1 = new THREE.PointLight(0x00ff41, 0.5, 10);
+        const accentLight1 = new THREE.PointLight(primary, 0.5, 10);
         accentLight1.position.set(-3, 2, 3);
         this.scene.add(accentLight1);
         
-        const accentLight2 = new THREE.PointLight(0x0088ff, 0.3, 8);
+        const accentLight2 = new THREE.PointLight(secondary, 0.3, 8);
         accentLight2.position.set(3, 1, -2);
         this.scene.add(accentLight2);
+        
+        this.lights = { ambientLight, mainLight, accentLight1, accentLight2 };
     }
     
+    // The hovered part gets an outline; labels are HTML elements laid over the canvas
+    setupPostProcessing() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        
+        this.composer = new EffectComposer(this.renderer);
+        this.composer.addPass(new RenderPass(this.scene, this.camera));
+        
+        this.outlinePass = new OutlinePass(new THREE.Vector2(width, height), this.scene, this.camera);
+        this.outlinePass.edgeStrength = 4;
+        this.outlinePass.edgeGlow = 0.5;
+        this.outlinePass.edgeThickness = 1.5;
+        this.outlinePass.visibleEdgeColor.setHex(this.themeColors.primary);
+        this.outlinePass.hiddenEdgeColor.setHex(this.themeColors.secondary);
+        this.composer.addPass(this.outlinePass);
+        
+        // Output colour space, which renderer.render() applied by itself
+        this.composer.addPass(new OutputPass());
+        
+        this.labelRenderer = new CSS2DRenderer();
+        this.labelRenderer.setSize(width, height);
+        this.labelRenderer.domElement.className = 'part-labels';
+        this.canvas.parentElement.appendChild(this.labelRenderer.domElement);
+    }
+    
+    // A missing, unreadable or incomplete model falls back to the laptop built from primitives
     async loadLaptopModel() {
-        return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader();
-            
-            // For demo purposes, we'll create a simple laptop from primitives
-            // In production, you would load: loader.load('/models/laptop.glb', ...)
+        try {
+            const gltf = await new GLTFLoader().loadAsync(this.modelUrl);
+            this.createLaptopFromModel(gltf.scene);
+        } catch (error) {
+            console.warn(`⚠️ Could not use ${this.modelUrl}, building the laptop from primitives:`, error.message);
             this.createLaptopFromPrimitives();
-            resolve();
+        }
+    }
+    
+    createLaptopFromModel(model) {
+        const { parts, missing } = findLaptopParts(model, { aliases: this.partAliases });
+        if (missing.length > 0) {
+            throw new ModelError(`the model has no ${missing.join(', ')} (name the nodes or add aliases)`, missing);
+        }
+        
+        const laptopGroup = new THREE.Group();
+        laptopGroup.name = 'laptop';
+        laptopGroup.add(model);
+        
+        // Scale the model to the size of the primitive laptop (3 units) and centre it
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        const scale = 3 / (Math.max(size.x, size.y, size.z) || 1);
+        model.scale.multiplyScalar(scale);
+        model.position.sub(box.getCenter(new THREE.Vector3()).multiplyScalar(scale));
+        laptopGroup.updateMatrixWorld(true);
+        
+        model.traverse(object => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
         });
+        
+        // Parts move on their own, so they hang off the laptop group like the primitives do
+        parts.forEach(part => laptopGroup.attach(part));
+        
+        this.addLaptop(laptopGroup, parts);
+        this.modelSource = 'model';
     }
     
     createLaptopFromPrimitives() {
@@ -154,19 +265,25 @@ export class SceneManager extends EventEmitter {
         laptopGroup.name = 'laptop';
         
         // Create laptop parts
-        const parts = {
+        const parts = new Map(Object.entries({
             screen: this.createScreen(),
             keyboard: this.createKeyboard(),
             battery: this.createBattery(),
             ports: this.createPorts(),
             motherboard: this.createMotherboard()
-        };
+        }));
+        parts.forEach(part => laptopGroup.add(part));
         
-        // Add parts to laptop group and store references
-        Object.entries(parts).forEach(([name, part]) => {
+        this.addLaptop(laptopGroup, parts);
+        this.modelSource = 'primitives';
+    }
+    
+    // `parts` maps part names to their objects in `laptopGroup`
+    addLaptop(laptopGroup, parts) {
+        // Store references
+        parts.forEach((part, name) => {
             part.name = name;
-            part.userData = { partName: name };
-            laptopGroup.add(part);
+            part.userData.partName = name;
             this.laptopParts.set(name, part);
             
             // Store original positions and rotations
@@ -197,10 +314,11 @@ export class SceneManager extends EventEmitter {
         // Add screen glow effect
         const glowGeometry = new THREE.BoxGeometry(2.8, 1.8, 0.05);
         const glowMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x00ff41,
+            color: this.themeColors.primary,
             transparent: true,
             opacity: 0.3
         });
+        this.accentMaterials.push(glowMaterial);
         const screenGlow = new THREE.Mesh(glowGeometry, glowMaterial);
         screenGlow.position.z = 0.01;
         screen.add(screenGlow);
@@ -265,7 +383,8 @@ export class SceneManager extends EventEmitter {
         
         // Add circuit traces
         const traceGeometry = new THREE.CylinderGeometry(0.01, 0.01, 1);
-        const traceMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff41 });
+        const traceMaterial = new THREE.MeshBasicMaterial({ color: this.themeColors.primary });
+        this.accentMaterials.push(traceMaterial);
         
         for (let i = 0; i < 10; i++) {
             const trace = new THREE.Mesh(traceGeometry, traceMaterial);
@@ -282,52 +401,150 @@ export class SceneManager extends EventEmitter {
     }
     
     setupDisassemblyAnimation() {
-        // Import anime.js dynamically
-        import('https://cdn.skypack.dev/animejs@3.2.1').then(({ default: anime }) => {
-            this.anime = anime;
+        let choreography;
+        try {
+            choreography = compileChoreography(this.choreography, this.getRestPoses());
+        } catch (error) {
+            console.error('❌ Disassembly animation disabled:', error.message);
+            return;
+        }
+        
+        // Scrubbed by the scroll position (see updateScrollProgress)
+        this.disassemblyTimeline = new Timeline();
+        choreography.labels.forEach(({ name, time }) => this.disassemblyTimeline.addLabel(name, time));
+        
+        choreography.tracks.forEach(track => {
+            const part = this.laptopParts.get(track.part);
+            const fade = this.createFade(part);
+            const targets = { position: part.position, rotation: part.rotation, scale: part.scale, opacity: fade };
+            const values = (channel, value) => (channel === 'opacity' ? { opacity: value } : { x: value[0], y: value[1], z: value[2] });
             
-            // Create disassembly timeline (paused by default)
-            this.disassemblyTimeline = anime.timeline({
-                autoplay: false,
-                duration: 1000,
-                easing: 'easeOutExpo'
+            track.keyframes.forEach(frame => {
+                track.channels.forEach(channel => {
+                    this.disassemblyTimeline.add(targets[channel], values(channel, frame.to[channel]), {
+                        at: frame.start,
+                        duration: frame.end - frame.start,
+                        easing: frame.easing,
+                        from: values(channel, frame.from[channel]),
+                        update: channel === 'opacity' ? fade.apply : null
+                    });
+                });
             });
+        });
+        
+        // Show the pose for where the page is scrolled to
+        this.disassemblyTimeline.seek(this.scrollProgress * this.disassemblyTimeline.duration);
+    }
+    
+    // Part name and the section it opens; screen readers get both from the canvas and terminal already
+    createPartLabels() {
+        const box = new THREE.Box3();
+        this.laptopModel.updateWorldMatrix(true, true);
+        
+        this.laptopParts.forEach((part, name) => {
+            // Measured once after loading; the part carries it along wherever it moves
+            box.setFromObject(part);
+            const anchor = box.getCenter(new THREE.Vector3());
+            anchor.y = box.max.y;
+            this.labelAnchors.set(name, part.worldToLocal(anchor));
             
-            // Animate each part moving away from center
-            this.laptopParts.forEach((part, name) => {
-                const direction = this.getDisassemblyDirection(name);
-                
-                this.disassemblyTimeline.add({
-                    targets: part.position,
-                    x: direction.x,
-                    y: direction.y,
-                    z: direction.z,
-                    duration: 1000,
-                    delay: anime.stagger(200) // Stagger the animations
-                }, 0);
-                
-                // Add rotation animation
-                this.disassemblyTimeline.add({
-                    targets: part.rotation,
-                    x: part.rotation.x + direction.rotX,
-                    y: part.rotation.y + direction.rotY,
-                    z: part.rotation.z + direction.rotZ,
-                    duration: 1000
-                }, 0);
-            });
+            const element = document.createElement('div');
+            element.className = 'part-label';
+            element.setAttribute('aria-hidden', 'true');
+            
+            const title = document.createElement('span');
+            title.className = 'part-label-name';
+            title.textContent = name;
+            element.appendChild(title);
+            
+            if (this.partSections[name]) {
+                const section = document.createElement('span');
+                section.className = 'part-label-section';
+                section.textContent = `→ ${this.partSections[name]}`;
+                element.appendChild(section);
+            }
+            
+            // Anchored at the bottom centre of the label
+            const label = new CSS2DObject(element);
+            label.center.set(0.5, 1);
+            this.scene.add(label);
+            this.partLabels.set(name, label);
         });
     }
     
-    getDisassemblyDirection(partName) {
-        const directions = {
-            screen: { x: 0, y: 3, z: -3, rotX: -0.5, rotY: 0, rotZ: 0 },
-            keyboard: { x: 0, y: -2, z: 2, rotX: 0.3, rotY: 0, rotZ: 0 },
-            battery: { x: -3, y: -1, z: 2, rotX: 0, rotY: 0.5, rotZ: 0.2 },
-            ports: { x: -4, y: 0, z: 0, rotX: 0, rotY: 0, rotZ: 0.3 },
-            motherboard: { x: 2, y: -2, z: 1, rotX: 0.2, rotY: -0.3, rotZ: 0 }
-        };
+    // Labels float above their part, wherever the disassembly has moved it
+    updatePartLabels() {
+        const showAll = this.scrollProgress >= LABELS_FROM_PROGRESS;
         
-        return directions[partName] || { x: 0, y: 0, z: 0, rotX: 0, rotY: 0, rotZ: 0 };
+        this.partLabels.forEach((label, name) => {
+            const isHovered = name === this.hoveredPart;
+            label.visible = showAll || isHovered;
+            label.element.classList.toggle('is-hovered', isHovered);
+            if (!label.visible) return;
+            
+            label.position.copy(this.labelAnchors.get(name)).applyMatrix4(this.laptopParts.get(name).matrixWorld);
+            label.position.y += 0.15;
+        });
+    }
+    
+    // Where every part rests in the closed laptop, as the choreography expects it
+    getRestPoses() {
+        const poses = new Map();
+        this.laptopParts.forEach((part, name) => {
+            const rotation = this.originalRotations.get(name);
+            poses.set(name, {
+                position: this.originalPositions.get(name).toArray(),
+                rotation: [rotation.x, rotation.y, rotation.z],
+                scale: part.scale.toArray(),
+                opacity: 1
+            });
+        });
+        return poses;
+    }
+    
+    // `opacity` scales the part's materials, each from the opacity it was made with. Models often
+    // share materials between parts, so those are cloned first and fading one part leaves the rest alone
+    createFade(part) {
+        const inPart = new Set();
+        part.traverse(object => inPart.add(object));
+        const usedElsewhere = new Set();
+        this.laptopModel.traverse(object => {
+            if (object.material && !inPart.has(object)) {
+                [].concat(object.material).forEach(material => usedElsewhere.add(material));
+            }
+        });
+        
+        // Each material the part uses -> the one it fades, so a material shared by several meshes fades once
+        const materials = new Map();
+        part.traverse(object => {
+            if (!object.material) return;
+            
+            const own = [].concat(object.material).map(material => {
+                if (!materials.has(material)) {
+                    const copy = usedElsewhere.has(material) ? material.clone() : material;
+                    if (copy !== material && this.accentMaterials.includes(material)) {
+                        this.accentMaterials.push(copy);
+                    }
+                    materials.set(material, copy);
+                }
+                return materials.get(material);
+            });
+            object.material = Array.isArray(object.material) ? own : own[0];
+        });
+        
+        const faded = Array.from(materials.values());
+        const baseOpacities = faded.map(material => material.opacity);
+        
+        const fade = {
+            opacity: 1,
+            apply: () => {
+                faded.forEach((material, index) => {
+                    material.opacity = baseOpacities[index] * fade.opacity;
+                    material.transparent = material.transparent || fade.opacity < 1;
+                });
+            }
+        };
+        return fade;
     }
     
     setupBackgroundEffects() {
@@ -352,7 +569,7 @@ export class SceneManager extends EventEmitter {
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         
         const material = new THREE.PointsMaterial({
-            color: 0x00ff41,
+            color: this.themeColors.primary,
             size: 0.02,
             transparent: true,
             opacity: 0.6,
@@ -366,7 +583,8 @@ export class SceneManager extends EventEmitter {
     createBackgroundGrid() {
         const size = 20;
         const divisions = 20;
-        const grid = new THREE.GridHelper(size, divisions, 0x00ff41, 0x00ff41);
+        const { primary } = this.themeColors;
+        const grid = new THREE.GridHelper(size, divisions, primary, primary);
         grid.position.y = -3;
         grid.material.opacity = 0.1;
         grid.material.transparent = true;
@@ -374,14 +592,47 @@ export class SceneManager extends EventEmitter {
         this.scene.add(grid);
     }
     
+    // Recolour lights, particles, grid and glowing parts, e.g. { primary: 0xffb000 }
+    setThemeColors(colors) {
+        this.themeColors = { ...this.themeColors, ...colors };
+        const { primary, secondary, ambient } = this.themeColors;
+        const { ambientLight, mainLight, accentLight1, accentLight2 } = this.lights;
+        
+        if (ambientLight) ambientLight.color.setHex(ambient);
+        if (mainLight) mainLight.color.setHex(primary);
+        if (accentLight1) accentLight1.color.setHex(primary);
+        if (accentLight2) accentLight2.color.setHex(secondary);
+        
+        if (this.outlinePass) {
+            this.outlinePass.visibleEdgeColor.setHex(primary);
+            this.outlinePass.hiddenEdgeColor.setHex(secondary);
+        }
+        
+        this.accentMaterials.forEach(material => material.color.setHex(primary));
+        
+        if (this.particleSystem) {
+            this.particleSystem.material.color.setHex(primary);
+        }
+        
+        // GridHelper stores its colours per vertex
+        if (this.backgroundGrid) {
+            const color = new THREE.Color(primary);
+            const attribute = this.backgroundGrid.geometry.getAttribute('color');
+            for (let i = 0; i < attribute.count; i++) {
+                attribute.setXYZ(i, color.r, color.g, color.b);
+            }
+            attribute.needsUpdate = true;
+        }
+    }
+    
     setupInteraction() {
         // Mouse move for hover detection
-        this.canvas.addEventListener('mousemove', this.onMouseMove.bind(this));
-        this.canvas.addEventListener('click', this.onMouseClick.bind(this));
+        this.canvas.addEventListener('mousemove', this.onMouseMove);
+        this.canvas.addEventListener('click', this.onMouseClick);
         
         // Touch events for mobile
-        this.canvas.addEventListener('touchstart', this.onTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.onTouchMove.bind(this));
+        this.canvas.addEventListener('touchstart', this.onTouchStart);
+        this.canvas.addEventListener('touchmove', this.onTouchMove);
     }
     
     onMouseMove(event) {
@@ -399,7 +650,7 @@ export class SceneManager extends EventEmitter {
         
         const intersectedPart = this.getIntersectedPart();
         if (intersectedPart) {
-            this.emit('partClick', intersectedPart.userData.partName, intersectedPart);
+            this.emit('partClick', this.getPartName(intersectedPart), intersectedPart);
         }
     }
     
@@ -412,7 +663,7 @@ export class SceneManager extends EventEmitter {
         
         const intersectedPart = this.getIntersectedPart();
         if (intersectedPart) {
-            this.emit('partClick', intersectedPart.userData.partName, intersectedPart);
+            this.emit('partClick', this.getPartName(intersectedPart), intersectedPart);
         }
     }
     
@@ -430,9 +681,7 @@ export class SceneManager extends EventEmitter {
         );
         
         if (intersects.length > 0) {
-            const intersectedPart = intersects[0].object;
-            const partName = intersectedPart.userData.partName || 
-                           intersectedPart.parent.userData.partName;
+            const partName = this.getPartName(intersects[0].object);
             
             if (this.hoveredPart !== partName) {
                 // Clear previous hover
@@ -442,6 +691,7 @@ export class SceneManager extends EventEmitter {
                 
                 // Set new hover
                 this.hoveredPart = partName;
+                this.setHighlightedPart(partName);
                 this.emit('partHover', partName, true);
                 this.canvas.style.cursor = 'pointer';
             }
@@ -450,11 +700,19 @@ export class SceneManager extends EventEmitter {
             if (this.hoveredPart) {
                 this.emit('partHover', this.hoveredPart, false);
                 this.hoveredPart = null;
+                this.setHighlightedPart(null);
                 this.canvas.style.cursor = 'default';
             }
         }
     }
     
+    setHighlightedPart(partName) {
+        if (this.outlinePass) {
+            const part = this.laptopParts.get(partName);
+            this.outlinePass.selectedObjects = part ? [part] : [];
+        }
+    }
+    
     getIntersectedPart() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObjects(
@@ -465,10 +723,18 @@ export class SceneManager extends EventEmitter {
         return intersects.length > 0 ? intersects[0].object : null;
     }
     
+    // Meshes of a model part can sit several levels below the part itself
+    getPartName(object) {
+        for (let node = object; node; node = node.parent) {
+            if (node.userData.partName) return node.userData.partName;
+        }
+        return null;
+    }
+    
     updateScrollProgress(progress) {
         this.scrollProgress = Math.max(0, Math.min(1, progress));
         
-        if (this.disassemblyTimeline && this.anime) {
+        if (this.disassemblyTimeline) {
             // Update timeline progress based on scroll
             const timelineProgress = this.scrollProgress * this.disassemblyTimeline.duration;
             this.disassemblyTimeline.seek(timelineProgress);
@@ -483,20 +749,25 @@ export class SceneManager extends EventEmitter {
     
     focusOnPart(partName) {
         const part = this.laptopParts.get(partName);
-        if (!part || !this.anime) return;
+        if (!part) return;
+        
+        this.focusedPart = partName;
+        this.emit('partFocus', partName);
         
         // Animate camera to focus on the part
         const targetPosition = part.position.clone();
         targetPosition.add(new THREE.Vector3(0, 1, 3));
         
-        this.anime({
-            targets: this.camera.position,
+        if (this.cameraTween) {
+            this.cameraTween.pause();
+        }
+        this.cameraTween = tween(this.camera.position, {
             x: targetPosition.x,
             y: targetPosition.y,
-            z: targetPosition.z,
-            duration: 1000,
-            easing: 'easeOutCubic',
-            complete: () => {
+            z: targetPosition.z
+        }, { duration: 1000, easing: 'easeOutCubic' });
+        this.cameraTween.finished.then(isFinished => {
+            if (isFinished) {
                 this.camera.lookAt(part.position);
             }
         });
@@ -531,8 +802,10 @@ export class SceneManager extends EventEmitter {
                 this.laptopModel.rotation.y = Math.sin(this.clock.elapsedTime * 0.3) * 0.02;
             }
             
-            // Render the scene
-            this.renderer.render(this.scene, this.camera);
+            // Render the scene, then the labels over it
+            this.updatePartLabels();
+            this.composer.render(deltaTime);
+            this.labelRenderer.render(this.scene, this.camera);
         };
         
         animate();
@@ -549,6 +822,9 @@ export class SceneManager extends EventEmitter {
         // Update renderer
         this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.composer.setSize(width, height);
+        this.labelRenderer.setSize(width, height);
     }
     
     pause() {
@@ -568,23 +844,45 @@ export class SceneManager extends EventEmitter {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
+        [this.disassemblyTimeline, this.cameraTween].forEach(timeline => {
+            if (timeline) timeline.dispose();
+        });
+        
+        if (this.canvas) {
+            this.canvas.removeEventListener('mousemove', this.onMouseMove);
+            this.canvas.removeEventListener('click', this.onMouseClick);
+            this.canvas.removeEventListener('touchstart', this.onTouchStart);
+            this.canvas.removeEventListener('touchmove', this.onTouchMove);
+        }
+        
+        if (this.composer) {
+            this.outlinePass.dispose();
+            this.composer.dispose();
+        }
+        if (this.labelRenderer) {
+            this.labelRenderer.domElement.remove();
+        }
         
         if (this.renderer) {
             this.renderer.dispose();
         }
         
-        // Dispose of geometries and materials
-        this.scene.traverse((object) => {
-            if (object.geometry) {
-                object.geometry.dispose();
-            }
-            if (object.material) {
-                if (Array.isArray(object.material)) {
-                    object.material.forEach(material => material.dispose());
-                } else {
-                    object.material.dispose();
+        // Dispose of geometries and materials; there is no scene when init() failed early
+        if (this.scene) {
+            this.scene.traverse((object) => {
+                if (object.geometry) {
+                    object.geometry.dispose();
                 }
-            }
-        });
+                if (object.material) {
+                    if (Array.isArray(object.material)) {
+                        object.material.forEach(material => material.dispose());
+                    } else {
+                        object.material.dispose();
+                    }
+                }
+            });
+        }
+        
+        this.removeAllListeners();
     }
 }
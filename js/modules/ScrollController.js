@@ -1,8 +1,17 @@
 // Scroll Controller - Manages scroll-synced animations
-export class ScrollController {
-    constructor(sceneManager, terminalUI) {
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Emits `scrollend` with the progress whenever scrolling (wheel, touch,
+ * keys or animateToProgress()) comes to rest.
+ */
+export class ScrollController extends EventEmitter {
+    constructor(sceneManager, terminalUI, i18n = terminalUI.i18n) {
+        super();
+        
         this.sceneManager = sceneManager;
         this.terminalUI = terminalUI;
+        this.i18n = i18n;
         
         // Scroll state
         this.lastScrollY = 0;
@@ -23,6 +32,14 @@ export class ScrollController {
         this.observer = null;
         this.sections = new Map();
         
+        // Bound handlers so dispose() can remove them
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleKeyboard = this.handleKeyboard.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+        
         this.init();
     }
     
@@ -43,15 +60,18 @@ export class ScrollController {
     
     setupScrollListeners() {
         // Mouse wheel
-        window.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        window.addEventListener('wheel', this.handleWheel, { passive: false });
         
         // Touch events for mobile
-        window.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: true });
-        window.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        window.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: true });
+        window.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+        window.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+        window.addEventListener('touchend', this.handleTouchEnd, { passive: true });
         
         // Keyboard navigation
-        window.addEventListener('keydown', this.handleKeyboard.bind(this));
+        window.addEventListener('keydown', this.handleKeyboard);
+        
+        // Hint and title follow `lang`
+        this.i18n.on('change', this.handleLocaleChange);
         
         // Prevent default scrolling on body
         document.body.style.overflow = 'hidden';
@@ -142,6 +162,11 @@ export class ScrollController {
     }
     
     handleKeyboard(event) {
+        // Leave keys alone while the user is typing (e.g. in the terminal)
+        if (event.target.closest && event.target.closest('input, textarea, [contenteditable]')) {
+            return;
+        }
+        
         switch (event.key) {
             case 'ArrowDown':
             case 'PageDown':
@@ -227,14 +252,14 @@ export class ScrollController {
     
     handleOpeningPhase() {
         // Trigger laptop opening animation
-        this.terminalUI.showHint('Laptop is opening...');
+        this.terminalUI.showHint(this.i18n.t('scroll.phase.opening'));
         
         // You can add specific opening animations here
         // For example, animate the laptop hinge
     }
     
     handleDisassemblyPhase() {
-        this.terminalUI.showHint('Parts are disassembling... Click on them to explore!');
+        this.terminalUI.showHint(this.i18n.t('scroll.phase.disassembling'));
         
         // Enable part interactions
         this.sceneManager.laptopParts.forEach((part, name) => {
@@ -243,24 +268,25 @@ export class ScrollController {
     }
     
     handleCompletePhase() {
-        this.terminalUI.showHint('Disassembly complete! Use terminal commands to navigate.');
+        this.terminalUI.showHint(this.i18n.t('scroll.phase.complete'));
         
         // Show navigation options
         this.showNavigationOptions();
     }
     
     handleIdlePhase() {
-        this.terminalUI.showHint('Scroll down to begin the journey...');
+        this.terminalUI.showHint(this.i18n.t('scroll.phase.idle'));
     }
     
     showNavigationOptions() {
+        const t = key => this.i18n.t(key);
         const navigationMessage = [
             '',
-            '🎯 NAVIGATION OPTIONS',
+            t('scroll.navigation.title'),
             '',
-            '• Click on laptop parts to explore sections',
-            '• Type commands in the terminal',
-            '• Use keyboard arrows to navigate',
+            t('scroll.navigation.parts'),
+            t('scroll.navigation.commands'),
+            t('scroll.navigation.keys'),
             ''
         ];
         
@@ -271,15 +297,15 @@ export class ScrollController {
     
     updateTerminalHint(phase) {
         const hints = {
-            [this.phases.IDLE]: 'Scroll down to begin your journey',
-            [this.phases.OPENING]: 'The laptop is opening...',
-            [this.phases.DISASSEMBLING]: 'Click on parts or continue scrolling',
-            [this.phases.COMPLETE]: 'Ready for exploration!'
+            [this.phases.IDLE]: 'scroll.hint.idle',
+            [this.phases.OPENING]: 'scroll.hint.opening',
+            [this.phases.DISASSEMBLING]: 'scroll.hint.disassembling',
+            [this.phases.COMPLETE]: 'scroll.hint.complete'
         };
         
         const hint = hints[phase];
         if (hint) {
-            this.terminalUI.showHint(hint);
+            this.terminalUI.showHint(this.i18n.t(hint));
         }
     }
     
@@ -306,6 +332,7 @@ export class ScrollController {
         
         // Update any UI elements that depend on scroll state
         this.updateScrollDependentUI();
+        this.emit('scrollend', this.scrollProgress);
     }
     
     snapToPhase() {
@@ -325,15 +352,20 @@ export class ScrollController {
         const progressPercent = Math.round(this.scrollProgress * 100);
         
         // Update document title to reflect progress
+        let title = 'title.ready';
         if (progressPercent === 0) {
-            document.title = 'Abhay Bhingradia - Interactive Portfolio';
+            title = 'title.idle';
         } else if (progressPercent < 30) {
-            document.title = 'Opening Laptop... - Abhay Bhingradia';
+            title = 'title.opening';
         } else if (progressPercent < 90) {
-            document.title = 'Exploring Components... - Abhay Bhingradia';
-        } else {
-            document.title = 'Ready to Navigate - Abhay Bhingradia';
+            title = 'title.exploring';
         }
+        document.title = this.i18n.t(title, { name: this.terminalUI.content.name });
+    }
+    
+    handleLocaleChange() {
+        this.updateTerminalHint(this.currentPhase);
+        this.updateScrollDependentUI();
     }
     
     handleIntersection(entries) {
@@ -388,12 +420,18 @@ export class ScrollController {
         }
     }
     
-    async animateToProgress(targetProgress, duration = 1000) {
+    // Stops where it is when `signal` aborts
+    async animateToProgress(targetProgress, duration = 1000, signal = null) {
         const startProgress = this.scrollProgress;
         const startTime = performance.now();
         
         return new Promise(resolve => {
             const animate = (currentTime) => {
+                if (signal && signal.aborted) {
+                    resolve();
+                    return;
+                }
+                
                 const elapsed = currentTime - startTime;
                 const progress = Math.min(elapsed / duration, 1);
                 
@@ -406,6 +444,7 @@ export class ScrollController {
                 if (progress < 1) {
                     requestAnimationFrame(animate);
                 } else {
+                    this.emit('scrollend', this.scrollProgress);
                     resolve();
                 }
             };
@@ -440,6 +479,7 @@ export class ScrollController {
         window.removeEventListener('touchmove', this.handleTouchMove);
         window.removeEventListener('touchend', this.handleTouchEnd);
         window.removeEventListener('keydown', this.handleKeyboard);
+        this.i18n.off('change', this.handleLocaleChange);
         
         // Disconnect intersection observer
         if (this.observer) {
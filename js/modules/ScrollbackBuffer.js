@@ -0,0 +1,61 @@
+// Scrollback Buffer - Every line printed in the terminal, capped at a line limit
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Lines are `{ id, text, className }` objects; `text` keeps its escape
+ * sequences. Emits `change` with `{ added, updated, removed, dropped, cleared }` so
+ * a view can re-render only when something moved.
+ */
+export class ScrollbackBuffer extends EventEmitter {
+    constructor({ limit = 5000 } = {}) {
+        super();
+        this.limit = limit;
+        this.lines = [];
+        this.nextId = 1;
+    }
+    
+    get length() {
+        return this.lines.length;
+    }
+    
+    push(text, className = 'terminal-response') {
+        const line = { id: this.nextId++, text: String(text), className };
+        this.lines.push(line);
+        this.emit('change', { added: [line], dropped: this.trim() });
+        return line;
+    }
+    
+    // Change a line in place, e.g. while the typewriter writes it
+    update(line, text) {
+        line.text = String(text);
+        this.emit('change', { updated: [line] });
+    }
+    
+    // Take a line out again, e.g. a pager's `--More--` prompt
+    remove(line) {
+        const index = this.lines.indexOf(line);
+        if (index !== -1) {
+            this.lines.splice(index, 1);
+            this.emit('change', { removed: [line] });
+        }
+    }
+    
+    setLimit(limit) {
+        this.limit = Math.max(Math.floor(limit), 1);
+        const dropped = this.trim();
+        if (dropped.length) {
+            this.emit('change', { dropped });
+        }
+    }
+    
+    // Forget the oldest lines beyond the limit and return them
+    trim() {
+        const excess = this.lines.length - this.limit;
+        return excess > 0 ? this.lines.splice(0, excess) : [];
+    }
+    
+    clear() {
+        this.lines = [];
+        this.emit('change', { cleared: true });
+    }
+}
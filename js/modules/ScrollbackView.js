@@ -0,0 +1,246 @@
+// Scrollback View - Renders only the visible lines of the scrollback buffer (virtual scrolling)
+import { renderAnsi, stripAnsi } from './RichText.js';
+
+// Lines kept rendered above and below the visible area so fast scrolling shows no gaps
+const OVERSCAN = 20;
+
+// How close to the bottom (in pixels) still counts as following the output
+const BOTTOM_THRESHOLD = 24;
+
+// Lines kept in the screen reader log
+const ANNOUNCED_LINES = 20;
+
+/**
+ * A tall spacer gives the output its full scroll height and an absolutely
+ * positioned window holds the lines around the scroll position. Lines wrap,
+ * so their heights are measured once they are rendered; lines that were
+ * never on screen count as one row.
+ *
+ * While the view is scrolled to the bottom it follows new output. Once the
+ * visitor scrolls up it stays where it is, even as old lines are dropped
+ * from the top of the buffer.
+ */
+export class ScrollbackView {
+    constructor(container, buffer) {
+        this.container = container;
+        this.buffer = buffer;
+        
+        this.spacer = null;
+        this.content = null;
+        this.liveRegion = null;
+        
+        // Rendered `{ node, text }` and measured heights by line id
+        this.nodes = new Map();
+        this.heights = new Map();
+        this.rowHeight = 18;
+        this.paddingTop = 0;
+        
+        this.followOutput = true;
+        // Height of lines dropped from the top since the last render
+        this.droppedHeight = 0;
+        this.frame = null;
+        
+        // Bound handlers so dispose() can remove them
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.render = this.render.bind(this);
+    }
+    
+    init() {
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'terminal-scrollback';
+        this.content = document.createElement('div');
+        this.content.className = 'terminal-scrollback-window';
+        this.spacer.appendChild(this.content);
+        this.container.replaceChildren(this.spacer);
+        
+        // Re-rendered lines must not be read again, so new output is announced from a separate log
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('role', 'log');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.container.after(this.liveRegion);
+        
+        this.container.addEventListener('scroll', this.handleScroll, { passive: true });
+        this.buffer.on('change', this.handleChange);
+        
+        this.invalidate();
+    }
+    
+    // Forget measured heights, e.g. after the width or the font size changed
+    invalidate() {
+        this.heights.clear();
+        this.paddingTop = parseFloat(window.getComputedStyle(this.container).paddingTop) || 0;
+        
+        const probe = this.createNode({ text: 'M', className: 'terminal-response' });
+        this.content.appendChild(probe);
+        this.rowHeight = probe.offsetHeight || this.rowHeight;
+        probe.remove();
+        
+        this.scheduleRender();
+    }
+    
+    createNode(line) {
+        const node = document.createElement('div');
+        node.className = `terminal-line ${line.className}`;
+        // Escape sequences become styled nodes, never HTML
+        node.appendChild(renderAnsi(line.text));
+        return node;
+    }
+    
+    heightOf(line) {
+        return this.heights.get(line.id) || this.rowHeight;
+    }
+    
+    handleChange({ added = [], updated = [], removed = [], dropped = [], cleared = false }) {
+        if (cleared) {
+            this.nodes.clear();
+            this.heights.clear();
+            this.droppedHeight = 0;
+            this.followOutput = true;
+        }
+        
+        dropped.forEach(line => {
+            this.droppedHeight += this.heightOf(line);
+            this.nodes.delete(line.id);
+            this.heights.delete(line.id);
+        });
+        
+        removed.forEach(line => {
+            this.nodes.delete(line.id);
+            this.heights.delete(line.id);
+        });
+        
+        if (cleared || added.length || updated.length || removed.length || dropped.length) {
+            this.scheduleRender();
+        }
+    }
+    
+    handleScroll() {
+        const { scrollTop, scrollHeight, clientHeight } = this.container;
+        this.followOutput = scrollTop + clientHeight >= scrollHeight - BOTTOM_THRESHOLD;
+        this.scheduleRender();
+    }
+    
+    scrollToBottom() {
+        this.followOutput = true;
+        this.scheduleRender();
+    }
+    
+    // Every change in one frame leads to a single render
+    scheduleRender() {
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(this.render);
+        }
+    }
+    
+    render() {
+        this.frame = null;
+        const { lines } = this.buffer;
+        
+        // Keep the lines under the visitor's eyes in place when older ones are dropped
+        if (!this.followOutput && this.droppedHeight) {
+            this.container.scrollTop -= this.droppedHeight;
+        }
+        this.droppedHeight = 0;
+        
+        const offsets = this.layout();
+        if (this.followOutput) {
+            this.container.scrollTop = this.container.scrollHeight;
+        }
+        
+        const top = this.container.scrollTop - this.paddingTop;
+        const bottom = top + this.container.clientHeight;
+        const first = Math.max(this.findLine(offsets, top) - OVERSCAN, 0);
+        const last = Math.min(this.findLine(offsets, bottom) + OVERSCAN, lines.length - 1);
+        
+        const visible = lines.slice(first, last + 1);
+        const nodes = visible.map(line => {
+            const rendered = this.nodes.get(line.id);
+            if (rendered && rendered.text === line.text) {
+                return rendered.node;
+            }
+            const node = this.createNode(line);
+            this.nodes.set(line.id, { node, text: line.text });
+            return node;
+        });
+        
+        // Nodes that scrolled out of the window are rebuilt when they come back
+        const visibleIds = new Set(visible.map(line => line.id));
+        this.nodes.forEach((rendered, id) => {
+            if (!visibleIds.has(id)) this.nodes.delete(id);
+        });
+        
+        this.content.replaceChildren(...nodes);
+        this.content.style.transform = `translateY(${offsets[first] || 0}px)`;
+        
+        // Wrapped lines are taller than estimated: measure and lay out again
+        let changed = false;
+        visible.forEach((line, index) => {
+            const height = nodes[index].offsetHeight;
+            if (height && height !== this.heights.get(line.id)) {
+                this.heights.set(line.id, height);
+                changed = true;
+            }
+        });
+        
+        if (changed) {
+            const corrected = this.layout();
+            this.content.style.transform = `translateY(${corrected[first] || 0}px)`;
+            if (this.followOutput) {
+                this.container.scrollTop = this.container.scrollHeight;
+            }
+        }
+    }
+    
+    // Set the spacer to the full height and return the top offset of every line
+    layout() {
+        let total = 0;
+        const offsets = this.buffer.lines.map(line => {
+            const offset = total;
+            total += this.heightOf(line);
+            return offset;
+        });
+        this.spacer.style.height = `${total}px`;
+        return offsets;
+    }
+    
+    // Index of the line at vertical position `y` (binary search over the offsets)
+    findLine(offsets, y) {
+        let low = 0;
+        let high = offsets.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (offsets[middle] <= y) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+    
+    // Read a finished line to screen readers
+    announce(text) {
+        if (!this.liveRegion) return;
+        
+        const entry = document.createElement('div');
+        entry.textContent = stripAnsi(text);
+        this.liveRegion.appendChild(entry);
+        while (this.liveRegion.childElementCount > ANNOUNCED_LINES) {
+            this.liveRegion.firstElementChild.remove();
+        }
+    }
+    
+    dispose() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.container.removeEventListener('scroll', this.handleScroll);
+        this.buffer.off('change', this.handleChange);
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+        }
+    }
+}
@@ -0,0 +1,271 @@
+// Search Index - Full-text search over the site content with stemming, prefix matching and ranking
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is',
+    'it', 'its', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with', 'you'
+]);
+
+// Longest first; a suffix is only removed when at least three letters remain
+const SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ness', 'ions', 'ion', 'ings', 'ing', 'ive', 'ers', 'er', 'ed', 'ly', 'es', 's', 'e'];
+
+// Words, keeping names like three.js, node-js and c++ in one piece
+const WORD_PATTERN = /[a-z0-9][a-z0-9+#]*(?:[.-][a-z0-9+#]+)*/gi;
+
+// Title words count this many times
+const TITLE_WEIGHT = 3;
+// A word that only starts with the query counts this much of an exact match
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+
+// BM25 term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Reduce an English word to its stem so "projects", "project" and
+ * "projected" find each other. Deliberately simple: it only has to map the
+ * words of one site consistently, not produce real words. Names with digits
+ * or punctuation (three.js) are kept as they are.
+ */
+export function stem(word) {
+    if (!/^[a-z]+$/.test(word) || word.length <= 3) {
+        return word;
+    }
+    if (word.endsWith('ies') && word.length > 4) {
+        return `${word.slice(0, -3)}y`;
+    }
+    
+    const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 3);
+    if (!suffix) {
+        return word;
+    }
+    
+    const base = word.slice(0, -suffix.length);
+    // running -> run, but not call -> cal
+    if (/([^aeiouslz])\1$/.test(base)) {
+        return base.slice(0, -1);
+    }
+    return base;
+}
+
+/**
+ * The words of `text` that are indexed, with their stem and where they are
+ * in `text`. `parts` are the stems of the pieces of a name like three.js
+ * (`three` and `js`), so searching for one piece finds the whole name.
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text).matchAll(WORD_PATTERN)) {
+        const word = match[0].toLowerCase();
+        if (!STOP_WORDS.has(word)) {
+            const pieces = word.split(/[.-]/);
+            tokens.push({
+                term: stem(word),
+                parts: pieces.length > 1 ? pieces.filter(piece => !STOP_WORDS.has(piece)).map(stem) : [],
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Inverted index over `{ id, title, text }` documents. Words in the
+ * optional `keywords` (e.g. the section a document is in) are found like
+ * the text but not shown in snippets; any other properties (where the
+ * document is on the site, for example) are kept and returned with the
+ * results.
+ *
+ *     const index = new SearchIndex();
+ *     index.add({ id: 'about', title: 'About Me', text: '...' });
+ *     index.search('three');  // [{ document, score, terms }]
+ */
+export class SearchIndex {
+    constructor() {
+        this.documents = [];
+        // stem -> Map(document index -> weighted frequency)
+        this.postings = new Map();
+        this.totalLength = 0;
+    }
+    
+    add(document) {
+        const index = this.documents.length;
+        const frequencies = new Map();
+        const count = (text, weight) => tokenize(text).forEach(({ term, parts }) => {
+            [term, ...parts].forEach(indexed => {
+                frequencies.set(indexed, (frequencies.get(indexed) || 0) + weight);
+            });
+        });
+        count(document.title, TITLE_WEIGHT);
+        count(document.text, 1);
+        count((document.keywords || []).join(' '), 1);
+        
+        let length = 0;
+        frequencies.forEach((frequency, term) => {
+            length += frequency;
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(index, frequency);
+        });
+        
+        this.documents.push({ ...document, length });
+        this.totalLength += length;
+        return this;
+    }
+    
+    /**
+     * Documents containing every word of `query`, best first. A query word
+     * also matches the words it is the beginning of ("thr" finds three.js),
+     * with less weight than an exact match. `terms` holds the indexed stems
+     * that matched, for highlighting.
+     */
+    search(query, { limit = 10 } = {}) {
+        const queryTerms = [...new Set(tokenize(query).map(({ term }) => term))];
+        if (queryTerms.length === 0 || this.documents.length === 0) {
+            return [];
+        }
+        
+        const averageLength = this.totalLength / this.documents.length;
+        const results = new Map();
+        
+        queryTerms.forEach(queryTerm => {
+            const matched = new Set();
+            
+            this.expand(queryTerm).forEach(({ term, weight }) => {
+                const postings = this.postings.get(term);
+                const idf = Math.log(1 + (this.documents.length - postings.size + 0.5) / (postings.size + 0.5));
+                
+                postings.forEach((frequency, index) => {
+                    const normalised = 1 - B + B * (this.documents[index].length / averageLength);
+                    const score = weight * idf * ((frequency * (K1 + 1)) / (frequency + K1 * normalised));
+                    
+                    const result = results.get(index) || { score: 0, terms: new Set(), matched: 0 };
+                    result.score += score;
+                    result.terms.add(term);
+                    results.set(index, result);
+                    matched.add(index);
+                });
+            });
+            
+            matched.forEach(index => results.get(index).matched++);
+        });
+        
+        return Array.from(results.entries())
+            .filter(([, result]) => result.matched === queryTerms.length)
+            .sort(([, a], [, b]) => b.score - a.score)
+            .slice(0, limit)
+            .map(([index, { score, terms }]) => ({ document: this.documents[index], score, terms }));
+    }
+    
+    // Indexed stems matching one query stem, exactly or as a prefix
+    expand(queryTerm) {
+        const matches = [];
+        this.postings.forEach((postings, term) => {
+            if (term === queryTerm) {
+                matches.push({ term, weight: 1 });
+            } else if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+                matches.push({ term, weight: PREFIX_WEIGHT });
+            }
+        });
+        return matches;
+    }
+}
+
+/**
+ * About `width` characters of `text` around the first word whose stem is
+ * in `terms`, cut at word boundaries, with every such word passed through
+ * `mark` (e.g. to colour it).
+ */
+export function snippet(text, terms, { width = 80, mark = word => word } = {}) {
+    const hits = tokenize(text).filter(({ term, parts }) => terms.has(term) || parts.some(part => terms.has(part)));
+    
+    let start = hits.length ? Math.max(hits[0].start - Math.floor(width / 3), 0) : 0;
+    if (start > 0) {
+        start = text.indexOf(' ', start) + 1 || start;
+    }
+    let end = Math.min(start + width, text.length);
+    if (end < text.length) {
+        end = Math.max(text.lastIndexOf(' ', end), hits.length ? hits[0].end : start + 1);
+    }
+    
+    let result = '';
+    let position = start;
+    hits.filter(hit => hit.start >= start && hit.end <= end).forEach(hit => {
+        result += text.slice(position, hit.start) + mark(text.slice(hit.start, hit.end));
+        position = hit.end;
+    });
+    result += text.slice(position, end);
+    
+    return `${start > 0 ? '...' : ''}${result}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Index every part of the site content (content/portfolio.json): the bio
+ * and skills, each project, the contact details and any experience and
+ * education. `command` is the terminal command that shows the document;
+ * it and the section title are searchable too.
+ */
+export function buildContentIndex(content) {
+    const index = new SearchIndex();
+    const sectionTitle = id => (content.sections.find(section => section.id === id) || { title: id }).title;
+    // `search projects` lists every project, `search resume` the jobs and schools
+    const add = document => index.add({ ...document, keywords: [document.section, document.command] });
+    
+    add({
+        id: 'about',
+        title: sectionTitle('about'),
+        section: sectionTitle('about'),
+        command: 'about',
+        text: [
+            `${[content.name, content.role, content.location].filter(Boolean).join(', ')}.`,
+            ...content.bio,
+            `Skills: ${content.skills.join(', ')}.`
+        ].join(' ')
+    });
+    
+    content.projects.forEach((project, number) => {
+        add({
+            id: `projects/${number}`,
+            title: project.title,
+            section: sectionTitle('projects'),
+            command: 'projects',
+            url: project.url,
+            text: [project.description, ...(project.tags && project.tags.length ? [`Tags: ${project.tags.join(', ')}.`] : [])].join(' ')
+        });
+    });
+    
+    const { email, links = [] } = content.contact;
+    add({
+        id: 'contact',
+        title: sectionTitle('contact'),
+        section: sectionTitle('contact'),
+        command: 'contact',
+        text: [`Email: ${email}`, ...links.map(({ label, url }) => `${label}: ${url}`)].join(' ')
+    });
+    
+    (content.experience || []).forEach((job, number) => {
+        add({
+            id: `experience/${number}`,
+            title: `${job.position}, ${job.company}`,
+            section: 'Experience',
+            command: 'resume',
+            url: job.url,
+            text: [job.summary, ...(job.highlights || [])].filter(Boolean).join(' ')
+        });
+    });
+    
+    (content.education || []).forEach((school, number) => {
+        add({
+            id: `education/${number}`,
+            title: `${school.area}, ${school.institution}`,
+            section: 'Education',
+            command: 'resume',
+            text: school.degree || ''
+        });
+    });
+    
+    return index;
+}
@@ -0,0 +1,130 @@
+// Session Recorder - Captures the terminal as an asciicast v2 recording (the asciinema format)
+//
+// A recording is a JSON header line followed by one `[seconds, code, data]`
+// event per line: `o` for output written to the screen, `i` for typed input.
+import { color } from './RichText.js';
+
+// What a `clear` looks like in a real terminal
+export const CLEAR_SCREEN = '\x1b[2J\x1b[H';
+
+export class AsciicastError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AsciicastError';
+    }
+}
+
+export class SessionRecorder {
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.header = null;
+        this.events = [];
+        this.startTime = 0;
+        
+        // Bound handlers so stop() can remove them
+        this.handleOutput = this.handleOutput.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleClear = this.handleClear.bind(this);
+    }
+    
+    get isRecording() {
+        return this.header !== null;
+    }
+    
+    // Seconds since start()
+    get duration() {
+        return this.isRecording ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+    
+    start({ title = null } = {}) {
+        if (this.isRecording) {
+            throw new Error('already recording');
+        }
+        
+        this.header = {
+            version: 2,
+            width: this.terminal.getColumns(),
+            height: this.terminal.getRows(),
+            timestamp: Math.floor(Date.now() / 1000),
+            env: { SHELL: '/bin/portfolio', TERM: 'xterm-256color' }
+        };
+        if (title) {
+            this.header.title = title;
+        }
+        
+        this.events = [];
+        this.startTime = performance.now();
+        
+        this.terminal.on('output', this.handleOutput);
+        this.terminal.on('input', this.handleInput);
+        this.terminal.on('clear', this.handleClear);
+    }
+    
+    // End the recording and return it as asciicast text
+    stop() {
+        if (!this.isRecording) {
+            throw new Error('not recording');
+        }
+        
+        this.terminal.off('output', this.handleOutput);
+        this.terminal.off('input', this.handleInput);
+        this.terminal.off('clear', this.handleClear);
+        
+        const cast = SessionRecorder.format(this.header, this.events);
+        this.header = null;
+        this.events = [];
+        return cast;
+    }
+    
+    record(code, data) {
+        this.events.push([Number(this.duration.toFixed(6)), code, data]);
+    }
+    
+    // Lines reach the screen without a newline; errors are only red through CSS
+    handleOutput(text, className) {
+        const line = className === 'terminal-error' ? color('red', text) : text;
+        this.record('o', `${line}\r\n`);
+    }
+    
+    handleInput(line) {
+        this.record('i', `${line}\r`);
+    }
+    
+    handleClear() {
+        this.record('o', CLEAR_SCREEN);
+    }
+    
+    static format(header, events) {
+        return `${[header, ...events].map(entry => JSON.stringify(entry)).join('\n')}\n`;
+    }
+    
+    // Read asciicast v2 text back into `{ header, events }`
+    static parse(text) {
+        const lines = String(text).split('\n').filter(line => line.trim());
+        
+        let header;
+        try {
+            header = JSON.parse(lines[0]);
+        } catch (error) {
+            throw new AsciicastError('not an asciicast recording');
+        }
+        if (!header || header.version !== 2) {
+            throw new AsciicastError(`unsupported asciicast version ${header && header.version}`);
+        }
+        
+        const events = lines.slice(1).map((line, index) => {
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                event = null;
+            }
+            if (!Array.isArray(event) || typeof event[0] !== 'number' || typeof event[2] !== 'string') {
+                throw new AsciicastError(`line ${index + 2}: invalid event`);
+            }
+            return event;
+        });
+        
+        return { header, events };
+    }
+}
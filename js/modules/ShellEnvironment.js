@@ -0,0 +1,143 @@
+// Shell Environment - Variables, aliases, the PS1 and PS2 prompts and the ~/.portfoliorc startup script
+
+export const RC_FILE = '~/.portfoliorc';
+
+// `visitor@portfolio:~$`
+export const DEFAULT_PS1 = '\\u@portfolio:\\w\\$';
+
+// Shown instead while a command continues on the next line (open quote, trailing `\`)
+export const DEFAULT_PS2 = '>';
+
+// Written to ~/.portfoliorc until the visitor changes it
+export const DEFAULT_RC = [
+    '# ~/.portfoliorc - runs every time the terminal starts',
+    '# Edit it with redirects, e.g. echo "alias p=projects" >> ~/.portfoliorc',
+    '',
+    `export PS1='${DEFAULT_PS1}'`,
+    'alias ll=\'ls -l\'',
+    'alias la=\'ls -la\'',
+    '# theme set amber',
+    ''
+].join('\n');
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export class ShellEnvironment {
+    constructor({ fs, storageKey = 'portfolio:rc' } = {}) {
+        this.fs = fs;
+        this.storageKey = storageKey;
+        this.variables = new Map([['PS1', DEFAULT_PS1], ['PS2', DEFAULT_PS2]]);
+        this.aliases = new Map();
+        
+        // Read-only variables computed on every lookup, so $PWD follows `cd`
+        this.computed = new Map();
+        if (fs) {
+            this.define('HOME', () => fs.home);
+            this.define('USER', () => fs.user);
+            this.define('PWD', () => fs.getcwd());
+            this.define('OLDPWD', () => fs.previousCwd || '');
+        }
+    }
+    
+    static isValidName(name) {
+        return NAME_PATTERN.test(name);
+    }
+    
+    define(name, getter) {
+        this.computed.set(name, getter);
+    }
+    
+    // Variables
+    get(name) {
+        if (this.computed.has(name)) {
+            return String(this.computed.get(name)());
+        }
+        return this.variables.get(name);
+    }
+    
+    set(name, value) {
+        if (!ShellEnvironment.isValidName(name)) {
+            throw new Error(`\`${name}': not a valid identifier`);
+        }
+        if (this.computed.has(name)) {
+            throw new Error(`${name}: readonly variable`);
+        }
+        this.variables.set(name, String(value));
+    }
+    
+    unset(name) {
+        if (this.computed.has(name)) {
+            throw new Error(`${name}: cannot unset: readonly variable`);
+        }
+        return this.variables.delete(name);
+    }
+    
+    // Every variable sorted by name, as `env` prints them
+    entries() {
+        const names = new Set([
+            ...Array.from(this.computed.keys()).filter(ShellEnvironment.isValidName),
+            ...this.variables.keys()
+        ]);
+        return Array.from(names).sort().map(name => [name, this.get(name)]);
+    }
+    
+    // Aliases
+    getAlias(name) {
+        return this.aliases.get(name);
+    }
+    
+    setAlias(name, value) {
+        if (!name || /[\s/$`'"=|&;<>()]/.test(name)) {
+            throw new Error(`\`${name}': invalid alias name`);
+        }
+        this.aliases.set(name, String(value));
+    }
+    
+    unalias(name) {
+        return this.aliases.delete(name);
+    }
+    
+    listAliases() {
+        return Array.from(this.aliases.entries()).sort(([a], [b]) => a.localeCompare(b));
+    }
+    
+    /**
+     * Expand the backslash escapes of $PS1: \u user, \h host, \w working
+     * directory, \W its last part, \$ (`#` for root), \e escape (for colours)
+     * and \\. Anything else is printed as-is.
+     */
+    formatPrompt(ps1 = this.get('PS1')) {
+        const fs = this.fs;
+        const cwd = fs ? fs.displayPath() : '~';
+        const escapes = {
+            u: () => (fs ? fs.user : 'visitor'),
+            h: () => 'portfolio',
+            w: () => cwd,
+            W: () => (cwd === '/' ? '/' : cwd.split('/').pop()),
+            $: () => (fs && fs.user === 'root' ? '#' : '$'),
+            e: () => '\x1b',
+            '\\': () => '\\'
+        };
+        
+        return String(ps1 === undefined ? DEFAULT_PS1 : ps1)
+            .replace(/\\(.)/g, (match, char) => (escapes[char] ? escapes[char]() : match));
+    }
+    
+    // Storage can be unavailable (private mode): the rc file then starts from the default every visit
+    loadScript() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved === null ? DEFAULT_RC : saved;
+        } catch (error) {
+            return DEFAULT_RC;
+        }
+    }
+    
+    saveScript(content) {
+        try {
+            localStorage.setItem(this.storageKey, content);
+        } catch (error) {
+            console.warn('Could not save ~/.portfoliorc:', error);
+        }
+    }
+}
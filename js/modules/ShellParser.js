@@ -0,0 +1,381 @@
+// Shell Parser - Turns a terminal command line into pipelines and command lists
+
+// Longest operators first so `&&` wins over `&`
+const OPERATORS = ['&&', '||', '>>', ';', '&', '|', '>'];
+const LIST_OPERATORS = [';', '&', '&&', '||'];
+const REDIRECT_OPERATORS = ['>', '>>'];
+
+// `$NAME`, `${NAME}` and the special `$?`
+const VARIABLE_PATTERN = /^\$(?:\{([A-Za-z_][A-Za-z0-9_]*|\?)\}|([A-Za-z_][A-Za-z0-9_]*|\?))/;
+
+export class ShellSyntaxError extends Error {
+    constructor(message, incomplete = false) {
+        super(message);
+        this.name = 'ShellSyntaxError';
+        // True when more input could still make the line valid (open quote, trailing `|`)
+        this.incomplete = incomplete;
+    }
+}
+
+export class ShellParser {
+    /**
+     * Split a line into word and operator tokens, resolving quotes and escapes.
+     * Word tokens remember where they `start` and `end` in the line and
+     * whether any part of them was `quoted`. With `partial` an unfinished
+     * quote or escape ends the last word instead of throwing, and that word
+     * records the still open `quote`.
+     *
+     * `$NAME`, `${NAME}` and `$?` outside single quotes are kept as they were
+     * typed in `value`; `parts` splits the word into `{ text }` and
+     * `{ variable }` pieces so expand() can substitute them when the command
+     * runs.
+     */
+    tokenize(line, { partial = false } = {}) {
+        const tokens = [];
+        let word = null;
+        let parts = [];
+        let wordStart = 0;
+        let quote = null;
+        let quoted = false;
+        let i = 0;
+        
+        const append = (text, at) => {
+            if (word === null) {
+                wordStart = at;
+            }
+            word = (word || '') + text;
+            
+            const last = parts[parts.length - 1];
+            if (last && last.text !== undefined) {
+                last.text += text;
+            } else {
+                parts.push({ text });
+            }
+        };
+        
+        // Returns the length of the variable reference at `at`
+        const appendVariable = (at) => {
+            const match = VARIABLE_PATTERN.exec(line.slice(at));
+            if (word === null) {
+                wordStart = at;
+            }
+            word = (word || '') + match[0];
+            parts.push({ variable: match[1] || match[2] });
+            return match[0].length;
+        };
+        
+        const pushWord = () => {
+            if (word !== null) {
+                tokens.push({ type: 'word', value: word, parts, start: wordStart, end: i, quote, quoted });
+                word = null;
+                parts = [];
+                quoted = false;
+            }
+        };
+        
+        while (i < line.length) {
+            const char = line[i];
+            
+            // Backslash escapes the next character
+            if (char === '\\') {
+                if (i + 1 >= line.length) {
+                    if (!partial) {
+                        throw new ShellSyntaxError('unexpected end of line after `\\`', true);
+                    }
+                    append('', i);
+                    i++;
+                    continue;
+                }
+                append(line[i + 1], i);
+                quoted = true;
+                i += 2;
+                continue;
+            }
+            
+            // Single quotes keep everything literally
+            if (char === '\'') {
+                quoted = true;
+                const end = line.indexOf('\'', i + 1);
+                if (end === -1) {
+                    if (!partial) {
+                        throw new ShellSyntaxError('unexpected end of line while looking for matching `\'`', true);
+                    }
+                    append(line.slice(i + 1), i);
+                    quote = '\'';
+                    i = line.length;
+                    break;
+                }
+                append(line.slice(i + 1, end), i);
+                i = end + 1;
+                continue;
+            }
+            
+            // Double quotes only honour \" \\ \$ and \` and expand variables
+            if (char === '"') {
+                quoted = true;
+                append('', i);
+                let j = i + 1;
+                while (j < line.length && line[j] !== '"') {
+                    if (line[j] === '\\' && '"\\$`'.includes(line[j + 1])) {
+                        append(line[j + 1], j);
+                        j += 2;
+                    } else if (line[j] === '$' && VARIABLE_PATTERN.test(line.slice(j))) {
+                        j += appendVariable(j);
+                    } else {
+                        append(line[j], j);
+                        j++;
+                    }
+                }
+                if (j >= line.length) {
+                    if (!partial) {
+                        throw new ShellSyntaxError('unexpected end of line while looking for matching `"`', true);
+                    }
+                    quote = '"';
+                    i = line.length;
+                    break;
+                }
+                i = j + 1;
+                continue;
+            }
+            
+            if (/\s/.test(char)) {
+                pushWord();
+                i++;
+                continue;
+            }
+            
+            // Comments run to the end of the line; joined continuation lines go on after it
+            if (char === '#' && word === null) {
+                const end = line.indexOf('\n', i);
+                if (end === -1) break;
+                i = end;
+                continue;
+            }
+            
+            if (char === '$' && VARIABLE_PATTERN.test(line.slice(i))) {
+                i += appendVariable(i);
+                continue;
+            }
+            
+            const operator = OPERATORS.find(op => line.startsWith(op, i));
+            if (operator) {
+                pushWord();
+                tokens.push({ type: 'operator', value: operator });
+                i += operator.length;
+                continue;
+            }
+            
+            append(char, i);
+            i++;
+        }
+        
+        pushWord();
+        return tokens;
+    }
+    
+    /**
+     * Parse a command line into a list of pipelines.
+     * Each entry is `{ operator, pipeline, background }` where `operator`
+     * (`;`, `&&`, `||`) decides whether the pipeline runs given the previous
+     * exit status, and `pipeline` is an array of `{ argv, words, redirects }`
+     * commands. A trailing `&` sends the whole `&&`/`||` chain before it to
+     * the background, marking each of its entries with `background: true`.
+     *
+     * `argv` holds the words as typed; `words` (and each redirect's `word`)
+     * keep their parts for expand(), which runs right before the command so
+     * `export A=1; echo $A` sees the new value.
+     *
+     * With an `env` (see ShellEnvironment), an unquoted command name found by
+     * `env.getAlias()` is replaced by the alias text, which is parsed like the
+     * rest of the line. An alias is never expanded again inside its own text,
+     * so `alias ls='ls -l'` works.
+     */
+    parse(line, { env = null } = {}) {
+        const tokens = this.tokenize(line);
+        const list = [];
+        let pipeline = [];
+        let command = this.createCommand();
+        let operator = ';';
+        // Index in `list` where the current `&&`/`||` chain starts
+        let chainStart = 0;
+        
+        const isEmpty = (cmd) => cmd.argv.length === 0 && cmd.redirects.length === 0;
+        
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            
+            if (token.type === 'word') {
+                const expanding = token.aliases || [];
+                const alias = env && command.argv.length === 0 && !token.quoted && !expanding.includes(token.value)
+                    ? env.getAlias(token.value)
+                    : undefined;
+                    
+                if (alias !== undefined) {
+                    const replacement = this.tokenize(alias).map(aliasToken => ({
+                        ...aliasToken,
+                        aliases: [...expanding, token.value]
+                    }));
+                    tokens.splice(i, 1, ...replacement);
+                    i--;
+                    continue;
+                }
+                
+                command.argv.push(token.value);
+                command.words.push({ parts: token.parts, quoted: token.quoted });
+                continue;
+            }
+            
+            if (REDIRECT_OPERATORS.includes(token.value)) {
+                const target = tokens[i + 1];
+                if (!target || target.type !== 'word') {
+                    throw new ShellSyntaxError(`syntax error near unexpected token \`${target ? target.value : 'newline'}'`);
+                }
+                command.redirects.push({
+                    operator: token.value,
+                    target: target.value,
+                    word: { parts: target.parts, quoted: target.quoted }
+                });
+                i++;
+                continue;
+            }
+            
+            if (isEmpty(command)) {
+                throw new ShellSyntaxError(`syntax error near unexpected token \`${token.value}'`);
+            }
+            
+            pipeline.push(command);
+            command = this.createCommand();
+            
+            if (LIST_OPERATORS.includes(token.value)) {
+                list.push({ operator, pipeline, background: false });
+                pipeline = [];
+                
+                if (token.value === ';' || token.value === '&') {
+                    list.slice(chainStart).forEach(entry => {
+                        entry.background = token.value === '&';
+                    });
+                    chainStart = list.length;
+                    operator = ';';
+                } else {
+                    operator = token.value;
+                }
+            }
+        }
+        
+        if (!isEmpty(command)) {
+            pipeline.push(command);
+        } else if (pipeline.length > 0 || operator === '&&' || operator === '||') {
+            // Trailing `|`, `&&` or `||`: the command continues on the next line
+            throw new ShellSyntaxError('unexpected end of line', true);
+        }
+        
+        if (pipeline.length > 0) {
+            list.push({ operator, pipeline, background: false });
+        }
+        
+        return list;
+    }
+    
+    // Whether `line` only fails to parse because it stops too early: an open quote, a trailing `\`, `|`, `&&` or `||`
+    isIncomplete(line) {
+        try {
+            this.parse(line);
+            return false;
+        } catch (error) {
+            return error instanceof ShellSyntaxError && error.incomplete;
+        }
+    }
+    
+    /**
+     * Continue the incomplete line `first` with `second`, the next line typed
+     * at the PS2 prompt. A trailing `\` outside quotes joins them into one
+     * line; otherwise the newline is kept, so it ends up inside the open
+     * quote or as a space after the operator.
+     */
+    joinLines(first, second) {
+        const tokens = this.tokenize(first, { partial: true });
+        const last = tokens[tokens.length - 1];
+        const trailingBackslashes = first.match(/\\*$/)[0].length;
+        
+        if (trailingBackslashes % 2 === 1 && !(last && last.quote)) {
+            return first.slice(0, -1) + second;
+        }
+        return `${first}\n${second}`;
+    }
+    
+    /**
+     * Describe the word being typed at the end of `line` for tab completion:
+     * the argv of the simple command it belongs to, its unquoted text, where
+     * it starts, its open quote if any, and whether it is a redirect target.
+     */
+    completionContext(line) {
+        const tokens = this.tokenize(line, { partial: true });
+        const last = tokens[tokens.length - 1];
+        const current = last && last.type === 'word' && last.end === line.length ? tokens.pop() : null;
+        
+        let argv = [];
+        let redirect = false;
+        
+        tokens.forEach(token => {
+            if (token.type === 'operator') {
+                if (REDIRECT_OPERATORS.includes(token.value)) {
+                    redirect = true;
+                } else {
+                    argv = [];
+                    redirect = false;
+                }
+            } else if (redirect) {
+                // Finished redirect target, the command continues
+                redirect = false;
+            } else {
+                argv.push(token.value);
+            }
+        });
+        
+        return {
+            argv,
+            word: current ? current.value : '',
+            start: current ? current.start : line.length,
+            quote: current ? current.quote : null,
+            redirect
+        };
+    }
+    
+    /**
+     * Substitute the variables of parsed `words` from `env.get()`. Unset
+     * variables are empty, and an unquoted word that ends up empty is
+     * dropped, like bash does.
+     */
+    expand(words, env) {
+        return words
+            .filter(word => word.quoted || this.expandWord(word, env) !== '')
+            .map(word => this.expandWord(word, env));
+    }
+    
+    expandWord({ parts }, env) {
+        return parts.map(part => {
+            if (part.variable === undefined) return part.text;
+            const value = env ? env.get(part.variable) : undefined;
+            return value === undefined ? '' : String(value);
+        }).join('');
+    }
+    
+    // Quote a word so that tokenize() reads it back unchanged
+    static quote(word) {
+        if (word !== '' && /^[\w@%+=:,./~-]+$/.test(word)) {
+            return word;
+        }
+        return `'${word.replace(/'/g, '\'\\\'\'')}'`;
+    }
+    
+    // Source text of a parsed word with its variables still in place, as `${NAME}`
+    static formatWord({ parts }) {
+        const pieces = parts.filter(part => part.variable !== undefined || part.text);
+        if (pieces.length === 0) return '\'\'';
+        return pieces.map(part => (part.variable === undefined ? ShellParser.quote(part.text) : `\${${part.variable}}`)).join('');
+    }
+    
+    createCommand() {
+        return { argv: [], words: [], redirects: [] };
+    }
+}
@@ -1,31 +1,124 @@
 // Terminal UI Controller - Handles terminal interface and commands
 import { EventEmitter } from './EventEmitter.js';
+import { VirtualFileSystem } from './VirtualFileSystem.js';
+import { ShellParser } from './ShellParser.js';
+import { OutputStream } from './OutputStream.js';
+import { CommandRegistry, CommandUsageError } from './CommandRegistry.js';
+import { CommandHistory } from './CommandHistory.js';
+import { Completer } from './Completer.js';
+import { renderAnsi, formatColumns, commandLink, dim } from './RichText.js';
+import { JobTable } from './JobTable.js';
+import { ShellEnvironment, RC_FILE, DEFAULT_PS2 } from './ShellEnvironment.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { ScrollbackBuffer } from './ScrollbackBuffer.js';
+import { ScrollbackView } from './ScrollbackView.js';
+import { loadContent, sectionToMarkdown } from './Content.js';
+import { Prompter, PromptError } from './Prompter.js';
+import { LineEditor } from './LineEditor.js';
+import { I18n } from './I18n.js';
+import { registerCoreCommands } from './commands/coreCommands.js';
+import { registerFileCommands } from './commands/fileCommands.js';
+import { registerTextCommands } from './commands/textCommands.js';
+import { registerJobCommands } from './commands/jobCommands.js';
+import { registerEnvCommands } from './commands/envCommands.js';
+import { registerSessionCommands } from './commands/sessionCommands.js';
+
+// Unknown commands in a row before the terminal points at `help`
+const MISSES_BEFORE_TIP = 3;
+
+// Keys readKey() waits past
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+// Longer pastes are cut off with a warning before anything runs
+const MAX_PASTE_LINES = 100;
+const MAX_PASTE_LENGTH = 10000;
+// Pasted lines listed before asking whether to run them
+const PASTE_PREVIEW_LINES = 10;
 
 export class TerminalUI extends EventEmitter {
-    constructor() {
+    constructor({ content = loadContent(), i18n = new I18n(), scrollbackLimit = 5000 } = {}) {
         super();
         
+        // Bio, projects and contact details (content/portfolio.json)
+        this.content = content;
+        // Messages and dates in the visitor's language
+        this.i18n = i18n;
+        
         // DOM elements
         this.overlay = null;
         this.output = null;
         this.input = null;
         this.cursor = null;
+        this.prompt = null;
         this.hint = null;
         
         // State
         this.isMinimized = false;
         this.isInitialized = false;
-        this.commandHistory = [];
-        this.historyIndex = -1;
+        this.history = new CommandHistory();
+        this.historyIndex = this.history.length;
+        this.historyDraft = '';
+        this.reverseSearch = null;
         this.currentLine = '';
+        // The incomplete command typed so far (open quote, trailing `\`), continued at the PS2 prompt
+        this.continuation = null;
+        // Readline-style editing keys; `set -o vi` switches the keymap
+        this.lineEditor = new LineEditor();
+        
+        // Output lines; only the visible ones are in the DOM
+        this.scrollback = new ScrollbackBuffer({ limit: scrollbackLimit });
+        this.view = null;
+        
+        // Virtual file system browsed by ls, cd, cat...
+        this.fs = new VirtualFileSystem();
+        
+        // Command line parsing
+        this.parser = new ShellParser();
+        this.lastExitStatus = 0;
+        
+        // Command not found: the correction Enter runs, and misses since the last known command
+        this.pendingSuggestion = null;
+        this.missedCommands = 0;
+        
+        // Variables, aliases and PS1, set up by ~/.portfoliorc
+        this.env = new ShellEnvironment({ fs: this.fs });
+        this.env.define('?', () => this.lastExitStatus);
+        this.env.define('LANG', () => this.i18n.locale);
         
         // Animation
         this.typewriterDelay = 50;
         this.isTyping = false;
+        this.typingController = null;
+        
+        // Job control: the foreground job hides the prompt until it ends or Ctrl+C aborts it
+        this.jobs = new JobTable();
+        this.foregroundJob = null;
+        // Resolves readKey() with the next key the foreground job gets
+        this.keyReader = null;
+        // The question readLine() is waiting to have answered
+        this.lineReader = null;
+        this.prompter = new Prompter(this);
+        
+        // `record` listens to the output, input and clear events
+        this.recorder = new SessionRecorder(this);
         
-        // Commands
-        this.commands = new Map();
+        // Commands and their argument schemas
+        this.registry = new CommandRegistry();
         this.setupCommands();
+        
+        // Tab completion, `completion` holds the candidates while Tab cycles through them
+        this.completer = new Completer({ registry: this.registry, fs: this.fs, parser: this.parser });
+        this.completion = null;
+        
+        // Bound handlers so dispose() can remove them
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handlePaste = this.handlePaste.bind(this);
+        this.updateCursor = this.updateCursor.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        this.focusInput = this.focusInput.bind(this);
+        this.handleOutputClick = this.handleOutputClick.bind(this);
+        this.handleJobDone = this.handleJobDone.bind(this);
     }
     
     async init() {
@@ -35,6 +128,10 @@ export class TerminalUI extends EventEmitter {
             // Get DOM references
             this.getDOMReferences();
             
+            // Populate the virtual file system from the page
+            this.setupFileSystem();
+            this.updatePrompt();
+            
             // Setup event listeners
             this.setupEventListeners();
             
@@ -58,81 +155,143 @@ export class TerminalUI extends EventEmitter {
         this.output = document.getElementById('terminal-output');
         this.input = document.getElementById('terminal-input');
         this.cursor = document.getElementById('terminal-cursor');
+        this.prompt = document.getElementById('terminal-prompt');
         this.hint = document.querySelector('.terminal-hint');
         
         if (!this.overlay || !this.output || !this.input || !this.cursor) {
             throw new Error('Required terminal elements not found');
         }
+        
+        // The page ships the English hint
+        if (this.hint) {
+            this.hint.textContent = this.i18n.t('terminal.hint.start');
+        }
+        
+        this.view = new ScrollbackView(this.output, this.scrollback);
+        this.view.init();
     }
     
     setupEventListeners() {
         // Input handling
-        this.input.addEventListener('keydown', this.handleKeyDown.bind(this));
-        this.input.addEventListener('input', this.handleInput.bind(this));
+        this.input.addEventListener('keydown', this.handleKeyDown);
+        this.input.addEventListener('input', this.handleInput);
+        this.input.addEventListener('paste', this.handlePaste);
+        // The browser moves the caret itself for arrows, Home, End and clicks
+        this.input.addEventListener('keyup', this.updateCursor);
+        this.input.addEventListener('click', this.updateCursor);
         
         // Focus management
-        this.input.addEventListener('blur', this.handleBlur.bind(this));
-        this.overlay.addEventListener('click', this.focusInput.bind(this));
+        this.input.addEventListener('blur', this.handleBlur);
+        this.overlay.addEventListener('click', this.focusInput);
         
         // Prevent default context menu on terminal
-        this.overlay.addEventListener('contextmenu', (e) => e.preventDefault());
-    }
-    
-    setupCommands() {
-        this.commands.set('help', {
-            description: 'Show available commands',
-            execute: () => this.showHelpCommand()
-        });
+        this.overlay.addEventListener('contextmenu', this.preventContextMenu);
         
-        this.commands.set('clear', {
-            description: 'Clear terminal output',
-            execute: () => this.clear()
-        });
-        
-        this.commands.set('tour', {
-            description: 'Start interactive 3D tour',
-            execute: () => this.emit('command', 'tour', [])
-        });
+        // Clickable command names in the output
+        this.output.addEventListener('click', this.handleOutputClick);
         
-        this.commands.set('about', {
-            description: 'Navigate to about section',
-            execute: () => this.emit('command', 'about', [])
-        });
-        
-        this.commands.set('projects', {
-            description: 'View projects portfolio',
-            execute: () => this.emit('command', 'projects', [])
-        });
-        
-        this.commands.set('contact', {
-            description: 'Get contact information',
-            execute: () => this.emit('command', 'contact', [])
-        });
+        // Report background jobs as they finish
+        this.jobs.on('done', this.handleJobDone);
+    }
+    
+    preventContextMenu(event) {
+        event.preventDefault();
+    }
+    
+    handleOutputClick(event) {
+        const button = event.target.closest('[data-command]');
+        if (!button || this.isTyping) return;
         
-        this.commands.set('resume', {
-            description: 'Download resume',
-            execute: () => this.emit('command', 'resume', [])
-        });
+        // While a question is open a click answers it, e.g. a numbered choice
+        if (this.lineReader) {
+            this.answerLine(button.dataset.command);
+        } else {
+            this.runCommand(button.dataset.command);
+        }
+        this.focusInput();
+    }
+    
+    setupCommands() {
+        registerCoreCommands(this);
+        registerFileCommands(this);
+        registerTextCommands(this);
+        registerJobCommands(this);
+        registerEnvCommands(this);
+        registerSessionCommands(this);
+    }
+    
+    // Public extension point: other modules add their own commands here
+    registerCommand(name, spec) {
+        return this.registry.register(name, spec);
+    }
+    
+    unregisterCommand(name) {
+        return this.registry.unregister(name);
+    }
+    
+    setupFileSystem() {
+        const options = {
+            owner: 'abhay',
+            group: 'users',
+            mtime: new Date(document.lastModified),
+            force: true
+        };
+        const { content } = this;
         
-        this.commands.set('theme', {
-            description: 'Change terminal theme',
-            execute: (args) => this.emit('command', 'theme', args)
+        // One directory per page section, holding the same copy as the page
+        content.sections.forEach(({ id, title }) => {
+            this.fs.mkdir(`~/${id}`, { ...options, parents: true });
+            this.fs.writeFile(`~/${id}/README.md`, [
+                `# ${title}`,
+                '',
+                ...sectionToMarkdown(content, id)
+            ].join('\n'), options);
         });
         
-        this.commands.set('whoami', {
-            description: 'Display user information',
-            execute: () => this.showWhoAmI()
-        });
+        this.fs.writeFile('~/README.md', [
+            `# ${new URL(content.website).host}`,
+            '',
+            `Interactive 3D portfolio of ${content.name}.`,
+            '',
+            ...content.sections.map(({ id }) => `- ${id}/`),
+            '',
+            'Try `cd <section>`, `cat README.md` or `tree`.'
+        ].join('\n'), options);
         
-        this.commands.set('ls', {
-            description: 'List available sections',
-            execute: () => this.showDirectoryListing()
-        });
+        // The visitor's own startup script, saved in the browser whenever it is written
+        this.fs.writeFile(RC_FILE, this.env.loadScript(), { force: true });
+        this.fs.watch(RC_FILE, content => this.env.saveScript(content));
+    }
+    
+    // Run ~/.portfoliorc; called once every command (including the app's) is registered
+    runStartupScript() {
+        if (!this.fs.exists(RC_FILE)) {
+            return Promise.resolve(0);
+        }
+        return this.executeLine(`source ${RC_FILE}`);
+    }
+    
+    // Run a script line by line under `signal`, stopping when it aborts; incomplete lines continue on the next
+    async runScript(text, signal) {
+        let status = 0;
+        let pending = null;
+        for (const line of text.split('\n')) {
+            if (signal.aborted) break;
+            const command = pending === null ? line : this.parser.joinLines(pending, line);
+            if (this.parser.isIncomplete(command)) {
+                pending = command;
+                continue;
+            }
+            pending = null;
+            if (!command.trim()) continue;
+            status = await this.executeLine(command, signal);
+        }
         
-        this.commands.set('pwd', {
-            description: 'Show current location',
-            execute: () => this.showCurrentPath()
-        });
+        // Reports the unclosed quote
+        if (pending !== null && !signal.aborted) {
+            status = await this.executeLine(pending, signal);
+        }
+        return status;
     }
     
     setupTerminalBehavior() {
@@ -148,9 +307,46 @@ export class TerminalUI extends EventEmitter {
     }
     
     handleKeyDown(event) {
+        // While a foreground job runs the only thing the keyboard can do is interrupt it
+        if (this.foregroundJob) {
+            if (event.ctrlKey && event.key === 'c') {
+                event.preventDefault();
+                this.addOutputLine('^C', 'terminal-error');
+                this.foregroundJob.abort('SIGINT');
+            } else if (this.keyReader && !MODIFIER_KEYS.includes(event.key)) {
+                event.preventDefault();
+                this.keyReader(event.key);
+            } else if (this.lineReader && event.key === 'Enter') {
+                event.preventDefault();
+                this.answerLine(this.input.value);
+            } else if (this.lineReader && this.handleEditingKey(event)) {
+                // Answers are edited like command lines
+            } else if (event.key === 'Enter' || event.key === 'Tab') {
+                event.preventDefault();
+            }
+            return;
+        }
+        
+        if (this.reverseSearch && this.handleReverseSearchKey(event)) {
+            return;
+        }
+        
+        // Any other key ends a Tab cycle
+        if (event.key !== 'Tab' && event.key !== 'Shift') {
+            this.completion = null;
+        }
+        
+        if (this.handleEditingKey(event)) {
+            return;
+        }
+        
         switch (event.key) {
             case 'Enter':
                 event.preventDefault();
+                if (this.pendingSuggestion && !this.currentLine.trim()) {
+                    // Enter on an empty line accepts "Did you mean ..."
+                    this.setInputValue(this.pendingSuggestion);
+                }
                 this.processCommand();
                 break;
                 
@@ -166,7 +362,7 @@ export class TerminalUI extends EventEmitter {
                 
             case 'Tab':
                 event.preventDefault();
-                this.handleTabCompletion();
+                this.handleTabCompletion(event.shiftKey ? -1 : 1);
                 break;
                 
             case 'Escape':
@@ -180,10 +376,50 @@ export class TerminalUI extends EventEmitter {
                     this.cancelCurrentCommand();
                 }
                 break;
+                
+            case 'r':
+                if (event.ctrlKey) {
+                    event.preventDefault();
+                    this.startReverseSearch();
+                }
+                break;
+        }
+    }
+    
+    // Ctrl+A, Alt+F, Ctrl+K, vi normal mode...; returns true when the line editor took the key
+    handleEditingKey(event) {
+        const edit = this.lineEditor.handleKey(event, {
+            text: this.input.value,
+            cursor: this.input.selectionStart ?? this.input.value.length
+        });
+        if (!edit) {
+            return false;
+        }
+        
+        event.preventDefault();
+        if (edit.action === 'previous-history' || edit.action === 'next-history') {
+            // vi's k and j; questions have no history
+            if (!this.lineReader) {
+                this.navigateHistory(edit.action === 'previous-history' ? -1 : 1);
+            }
+        } else {
+            this.setInputValue(edit.text, edit.cursor);
         }
+        this.updateEditingMode();
+        return true;
+    }
+    
+    // vi normal mode shows a steady block cursor
+    updateEditingMode() {
+        if (this.overlay) {
+            this.overlay.classList.toggle('terminal-vi-normal', this.lineEditor.isViNormal);
+        }
+        this.updateCursor();
     }
     
     handleInput(event) {
+        this.completion = null;
+        this.pendingSuggestion = null;
         this.currentLine = event.target.value;
         this.updateCursor();
     }
@@ -204,12 +440,19 @@ export class TerminalUI extends EventEmitter {
         }
     }
     
+    // Put the fake cursor over the input's caret, which may be mid-line
     updateCursor() {
         if (this.cursor) {
-            // Position cursor after text
-            const inputRect = this.input.getBoundingClientRect();
-            const textWidth = this.getTextWidth(this.currentLine);
-            this.cursor.style.left = `${textWidth}px`;
+            let position = this.input.selectionStart ?? this.currentLine.length;
+            if (this.lineEditor.isViNormal) {
+                // The block sits on a character, never past the end
+                position = Math.min(position, Math.max(this.currentLine.length - 1, 0));
+            }
+            
+            // Password fields show one bullet per character
+            const before = this.currentLine.slice(0, position);
+            const text = this.input.type === 'password' ? '•'.repeat(before.length) : before;
+            this.cursor.style.left = `${this.getTextWidth(text) - this.input.scrollLeft}px`;
         }
     }
     
@@ -233,90 +476,673 @@ export class TerminalUI extends EventEmitter {
         }
     }
     
+    // $PS1 with its escapes expanded, $PS2 while a command continues; may contain colours
+    getPromptText(continued = this.continuation !== null) {
+        if (continued) {
+            return this.env.formatPrompt(this.env.get('PS2') ?? DEFAULT_PS2);
+        }
+        return this.env.formatPrompt();
+    }
+    
+    updatePrompt() {
+        if (this.prompt) {
+            this.prompt.replaceChildren(renderAnsi(this.getPromptText()));
+        }
+    }
+    
     processCommand() {
-        const command = this.currentLine.trim();
+        // Continued lines keep their spaces, they may be inside quotes
+        const line = this.continuation === null ? this.currentLine.trim() : this.currentLine;
+        this.pendingSuggestion = null;
         
-        if (!command) {
+        if (!line && this.continuation === null) {
             this.addPromptLine();
             return;
         }
         
-        // Add command to output
-        this.addOutputLine(`visitor@portfolio:~$ ${command}`, 'terminal-command');
+        this.emit('input', line);
+        this.addOutputLine(`${this.getPromptText()} ${line}`, 'terminal-command');
         
-        // Add to history
-        this.commandHistory.push(command);
-        this.historyIndex = this.commandHistory.length;
-        
-        // Parse and execute command
-        const [cmd, ...args] = command.split(' ');
-        this.executeCommand(cmd.toLowerCase(), args);
+        const full = this.continuation === null ? line : this.parser.joinLines(this.continuation, line);
+        if (this.parser.isIncomplete(full)) {
+            this.continuation = full;
+            this.updatePrompt();
+        } else {
+            this.continuation = null;
+            this.updatePrompt();
+            const command = this.addToHistory(full);
+            if (command) {
+                this.executeLine(command);
+            }
+        }
         
         // Clear input
         this.clearInput();
     }
     
-    executeCommand(command, args) {
-        const commandObj = this.commands.get(command);
+    /**
+     * Expand !!, !n and !prefix in a command line before anything else, like
+     * bash, and record the result in the history. Returns the command to run,
+     * or null after reporting a failed expansion.
+     */
+    addToHistory(line) {
+        let command;
+        try {
+            command = this.history.expand(line);
+        } catch (error) {
+            this.showError(`shell: ${error.message}`);
+            this.lastExitStatus = 1;
+            return null;
+        }
+        
+        if (command !== line) {
+            this.addOutputLine(command);
+        }
+        
+        this.history.add(command);
+        this.historyIndex = this.history.length;
+        this.historyDraft = '';
+        return command;
+    }
+    
+    /**
+     * Pasting several lines never runs them straight away: they are listed
+     * and run one by one only once the visitor confirms, each echoed and
+     * added to the history as if typed. Text pasted into the middle of the
+     * input becomes part of the first and last lines. A single line is
+     * inserted like typing, without running it.
+     */
+    handlePaste(event) {
+        if (this.foregroundJob || this.reverseSearch || !event.clipboardData) return;
+        
+        const text = event.clipboardData.getData('text/plain').replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+        if (!text.includes('\n')) return;
+        event.preventDefault();
+        
+        const { value, selectionStart, selectionEnd } = this.input;
+        const lines = `${value.slice(0, selectionStart)}${text}${value.slice(selectionEnd)}`.split('\n');
+        this.setInputValue('');
+        this.runPaste(lines);
+    }
+    
+    async runPaste(lines) {
+        // The first line continues an incomplete command typed before the paste
+        const continued = this.continuation;
+        this.continuation = null;
+        this.updatePrompt();
         
-        if (commandObj) {
+        const t = (key, params) => this.i18n.t(key, params);
+        const warnings = [];
+        let block = lines;
+        if (block.length > MAX_PASTE_LINES) {
+            warnings.push(t('terminal.paste.tooManyLines', { count: MAX_PASTE_LINES, total: block.length }));
+            block = block.slice(0, MAX_PASTE_LINES);
+        }
+        
+        let length = 0;
+        const cut = block.findIndex(line => (length += line.length + 1) > MAX_PASTE_LENGTH);
+        if (cut !== -1) {
+            warnings.push(t('terminal.paste.tooLong', { count: cut, max: MAX_PASTE_LENGTH }));
+            block = block.slice(0, cut);
+        }
+        
+        const task = async (signal) => {
+            const io = this.createIO({ signal });
+            warnings.forEach(warning => io.stderr.write(`paste: ${warning}`));
+            if (block.length === 0) return 1;
+            
+            const preview = block.slice(0, PASTE_PREVIEW_LINES).map(line => dim(`  ${line}`));
+            if (block.length > PASTE_PREVIEW_LINES) {
+                preview.push(dim(`  ${t('terminal.paste.more', { count: block.length - PASTE_PREVIEW_LINES })}`));
+            }
+            io.stdout.write(preview);
+            
+            let confirmed;
             try {
-                commandObj.execute(args);
+                confirmed = await this.prompter.confirm(io, t('terminal.paste.confirm', { count: block.length }), { default: false });
             } catch (error) {
-                this.showError(`Error executing command: ${error.message}`);
+                // Ctrl+C already shows ^C
+                if (error instanceof PromptError && signal.aborted) return 1;
+                throw error;
             }
-        } else {
-            // Try to emit command event for main app to handle
-            this.emit('command', command, args);
+            if (!confirmed) {
+                io.stdout.write(t('terminal.paste.discarded'));
+                return 1;
+            }
+            
+            let status = 0;
+            let pending = continued;
+            for (const line of block) {
+                if (signal.aborted) break;
+                this.emit('input', line);
+                this.addOutputLine(`${this.getPromptText(pending !== null)} ${line}`, 'terminal-command');
+                
+                const command = pending === null ? line : this.parser.joinLines(pending, line);
+                if (this.parser.isIncomplete(command)) {
+                    pending = command;
+                    continue;
+                }
+                pending = null;
+                
+                const expanded = command.trim() && this.addToHistory(command);
+                if (expanded) {
+                    status = await this.executeLine(expanded, signal);
+                }
+            }
+            
+            // A paste ending inside a quote reports it instead of waiting for more
+            if (pending !== null && !signal.aborted) {
+                status = await this.executeLine(pending, signal);
+            }
+            return status;
+        };
+        
+        const status = await this.waitForeground(this.jobs.start('paste', task));
+        this.lastExitStatus = status;
+        this.updatePrompt();
+        return status;
+    }
+    
+    // Echo and execute a command line as if it had been typed
+    runCommand(command) {
+        // Clicks and scene parts wait for the prompt like typed commands do
+        if (this.foregroundJob) {
+            return Promise.resolve(1);
         }
+        
+        // Add command to output
+        this.emit('input', command);
+        this.addOutputLine(`${this.getPromptText()} ${command}`, 'terminal-command');
+        
+        return this.executeLine(command);
     }
     
-    navigateHistory(direction) {
-        if (this.commandHistory.length === 0) return;
+    /**
+     * Run a full command line: `;`, `&&` and `||` lists of pipelines, `&` for
+     * background jobs. Given the `signal` of a running job (`source`), the
+     * line runs inside that job instead of becoming a foreground job itself.
+     */
+    async executeLine(line, signal = null) {
+        let list;
+        try {
+            list = this.parser.parse(line, { env: this.env });
+        } catch (error) {
+            this.showError(`shell: ${error.message}`);
+            this.lastExitStatus = 2;
+            return this.lastExitStatus;
+        }
         
-        this.historyIndex += direction;
-        this.historyIndex = Math.max(-1, Math.min(this.historyIndex, this.commandHistory.length - 1));
+        // Every `&&`/`||` chain becomes one job
+        const chains = [];
+        list.forEach(entry => {
+            if (entry.operator === ';' || chains.length === 0) {
+                chains.push([]);
+            }
+            chains[chains.length - 1].push(entry);
+        });
         
-        if (this.historyIndex >= 0) {
-            this.input.value = this.commandHistory[this.historyIndex];
-        } else {
-            this.input.value = '';
+        let status = 0;
+        for (const chain of chains) {
+            const command = this.describeChain(chain);
+            const task = (signal) => this.executeChain(chain, signal);
+            
+            if (chain[0].background) {
+                const job = this.jobs.start(command, task, { background: true });
+                this.addOutputLine(`[${job.id}] ${command}`);
+                status = 0;
+            } else if (signal) {
+                if (signal.aborted) break;
+                status = await task(signal);
+            } else {
+                status = await this.waitForeground(this.jobs.start(command, task));
+            }
+            
+            // Keeps $? current between the chains of one line
+            this.lastExitStatus = status;
+        }
+        
+        // `export PS1=...` and `cd` show up straight away
+        this.updatePrompt();
+        return status;
+    }
+    
+    async executeChain(chain, signal) {
+        let status = 0;
+        for (const { operator, pipeline } of chain) {
+            if (signal.aborted) break;
+            if ((operator === '&&' && status !== 0) || (operator === '||' && status === 0)) {
+                continue;
+            }
+            status = await this.executePipeline(pipeline, signal);
+        }
+        return status;
+    }
+    
+    // Command text of a chain, shown by `jobs`
+    describeChain(chain) {
+        return chain.map(({ operator, pipeline }, index) => {
+            const text = pipeline.map(({ words, redirects }) => [
+                ...words.map(ShellParser.formatWord),
+                ...redirects.map(redirect => `${redirect.operator} ${ShellParser.formatWord(redirect.word)}`)
+            ].join(' ')).join(' | ');
+            return index > 0 ? `${operator} ${text}` : text;
+        }).join(' ');
+    }
+    
+    // Hide the prompt until `job` ends; Ctrl+C aborts it
+    async waitForeground(job) {
+        const previous = this.foregroundJob;
+        this.foregroundJob = job;
+        this.setBusy(true);
+        
+        const status = await job.promise;
+        
+        this.foregroundJob = previous;
+        this.setBusy(Boolean(previous));
+        return status;
+    }
+    
+    // Whether `io` belongs to the job that has the keyboard
+    isForeground(io) {
+        return Boolean(this.foregroundJob) && io.signal === this.foregroundJob.signal;
+    }
+    
+    // Next key pressed for the foreground job, or null once `signal` aborts
+    readKey(signal) {
+        return new Promise(resolve => {
+            if (signal.aborted) {
+                resolve(null);
+                return;
+            }
+            
+            const finish = (key) => {
+                signal.removeEventListener('abort', handleAbort);
+                this.keyReader = null;
+                resolve(key);
+            };
+            const handleAbort = () => finish(null);
+            
+            signal.addEventListener('abort', handleAbort, { once: true });
+            this.keyReader = finish;
+        });
+    }
+    
+    /**
+     * A line typed for the foreground job, or null once `signal` aborts. The
+     * input line comes back with `prompt` in place of $PS1; `mask` hides what
+     * is typed. Commands use the prompter (ask, confirm, select) on top of it.
+     */
+    readLine(signal, { prompt = '', mask = false } = {}) {
+        return new Promise(resolve => {
+            if (signal.aborted) {
+                resolve(null);
+                return;
+            }
+            
+            const finish = (answer) => {
+                signal.removeEventListener('abort', handleAbort);
+                this.lineReader = null;
+                this.overlay.classList.remove('terminal-reading');
+                this.input.type = 'text';
+                this.input.readOnly = Boolean(this.foregroundJob);
+                this.setInputValue('');
+                this.updatePrompt();
+                resolve(answer);
+            };
+            const handleAbort = () => finish(null);
+            
+            signal.addEventListener('abort', handleAbort, { once: true });
+            this.lineReader = { prompt, mask, finish };
+            
+            this.prompt.replaceChildren(renderAnsi(prompt));
+            this.input.type = mask ? 'password' : 'text';
+            this.input.readOnly = false;
+            this.overlay.classList.add('terminal-reading');
+            this.setInputValue('');
+            this.focusInput();
+        });
+    }
+    
+    answerLine(answer) {
+        const { prompt, mask, finish } = this.lineReader;
+        // Like a password prompt, masked answers are not echoed at all
+        this.addOutputLine(mask ? prompt : `${prompt}${answer}`);
+        finish(answer);
+    }
+    
+    setBusy(isBusy) {
+        if (this.overlay) {
+            this.overlay.classList.toggle('terminal-busy', isBusy);
+        }
+        if (this.input) {
+            this.input.readOnly = isBusy;
+        }
+    }
+    
+    handleJobDone(job) {
+        if (!job.id || job.foreground) return;
+        
+        const state = job.state === 'killed' ? 'Terminated' : (job.status === 0 ? 'Done' : `Exit ${job.status}`);
+        this.addOutputLine(`[${job.id}]  ${state.padEnd(12)} ${job.command}`);
+    }
+    
+    // Feed each command's stdout into the next one's stdin
+    async executePipeline(pipeline, signal) {
+        let stdin = '';
+        let status = 0;
+        
+        for (let i = 0; i < pipeline.length; i++) {
+            if (signal.aborted) break;
+            
+            // Variables are expanded as each command starts
+            const { words, redirects } = pipeline[i];
+            const argv = this.parser.expand(words, this.env);
+            const isLast = i === pipeline.length - 1;
+            const io = this.createIO({
+                stdin,
+                signal,
+                toScreen: isLast && redirects.length === 0
+            });
+            
+            if (argv.length > 0) {
+                status = await this.executeCommand(argv[0].toLowerCase(), argv.slice(1), io);
+            }
+            
+            // An aborted command leaves no partial output behind
+            if (signal.aborted) break;
+            
+            const output = io.stdout.toString();
+            try {
+                this.applyRedirects(redirects, output);
+            } catch (error) {
+                io.stderr.write(`shell: ${error.message}`);
+                status = 1;
+            }
+            
+            stdin = redirects.length ? '' : output;
         }
         
-        this.currentLine = this.input.value;
+        return status;
+    }
+    
+    // `signal` aborts with the job; after that nothing more reaches the screen
+    createIO({ stdin = '', toScreen = true, signal = new AbortController().signal } = {}) {
+        return {
+            stdin,
+            signal,
+            columns: this.getColumns(),
+            stdout: new OutputStream(toScreen ? (line) => !signal.aborted && this.addOutputLine(line) : null),
+            stderr: new OutputStream((line) => !signal.aborted && this.showError(line))
+        };
+    }
+    
+    // `>` truncates, `>>` appends; only the last redirect receives the output
+    applyRedirects(redirects, output) {
+        redirects.forEach((redirect, index) => {
+            const isLast = index === redirects.length - 1;
+            const target = this.parser.expandWord(redirect.word, this.env);
+            if (!target) {
+                throw new Error(`${ShellParser.formatWord(redirect.word)}: ambiguous redirect`);
+            }
+            this.fs.writeFile(target, isLast ? output : '', {
+                append: redirect.operator === '>>'
+            });
+        });
+    }
+    
+    async executeCommand(command, args, io = this.createIO()) {
+        const spec = this.registry.get(command);
+        
+        if (spec) {
+            // `--help` anywhere before `--` prints the generated usage
+            const optionArgs = args.includes('--') ? args.slice(0, args.indexOf('--')) : args;
+            if (spec.parseArgs !== false && optionArgs.includes('--help')) {
+                io.stdout.write(this.registry.formatHelp(spec));
+                return 0;
+            }
+            
+            this.missedCommands = 0;
+            
+            try {
+                const parsed = this.registry.parseArguments(spec, args);
+                const status = await spec.execute(parsed, io);
+                return typeof status === 'number' ? status : 0;
+            } catch (error) {
+                io.stderr.write(`${command}: ${error.message}`);
+                if (error instanceof CommandUsageError) {
+                    io.stderr.write(`Try '${command} --help' for more information.`);
+                    return 2;
+                }
+                return 1;
+            }
+        }
+        
+        // Listeners still hear about unknown commands
+        this.emit('command', command, args, io);
+        this.reportUnknownCommand(command, args, io);
+        return 127;
+    }
+    
+    // `command not found` with the closest commands and aliases, clickable
+    reportUnknownCommand(command, args, io) {
+        const suggestions = this.registry.suggest(command, {
+            extraNames: this.env.listAliases().map(([name]) => name)
+        });
+        const withArgs = (name) => [name, ...args].map(ShellParser.quote).join(' ');
+        // Only a line typed at the prompt can be corrected with a keypress
+        const isForeground = this.isForeground(io);
+        
+        io.stderr.write(`${command}: command not found`);
+        if (isForeground) {
+            this.pendingSuggestion = null;
+        }
+        
+        if (suggestions.length) {
+            const links = suggestions.map(name => commandLink(withArgs(name), name)).join(', ');
+            io.stderr.write(suggestions.length === 1 ? `Did you mean ${links}?` : `Did you mean one of: ${links}?`);
+            
+            if (isForeground) {
+                this.pendingSuggestion = withArgs(suggestions[0]);
+                io.stderr.write(dim(`Press Enter to run \`${this.pendingSuggestion}\`.`));
+            }
+        }
+        
+        this.missedCommands++;
+        if (this.missedCommands >= MISSES_BEFORE_TIP) {
+            this.missedCommands = 0;
+            io.stderr.write(`Tip: ${commandLink('help')} lists every command, and Tab completes names as you type.`);
+            this.showHint(this.i18n.t('terminal.hint.help'));
+        }
+    }
+    
+    // historyIndex === history.length means the line being typed, kept in historyDraft
+    navigateHistory(direction) {
+        if (this.history.length === 0) return;
+        
+        if (this.historyIndex === this.history.length) {
+            this.historyDraft = this.currentLine;
+        }
+        
+        this.historyIndex = Math.max(0, Math.min(this.historyIndex + direction, this.history.length));
+        this.setInputValue(this.historyIndex < this.history.length
+            ? this.history.entries[this.historyIndex]
+            : this.historyDraft);
+    }
+    
+    setInputValue(value, cursor = value.length) {
+        this.input.value = value;
+        this.currentLine = value;
+        this.input.setSelectionRange(cursor, cursor);
         this.updateCursor();
     }
     
-    handleTabCompletion() {
-        const partial = this.currentLine.toLowerCase();
-        const matches = Array.from(this.commands.keys()).filter(cmd => 
-            cmd.startsWith(partial)
-        );
+    // Ctrl+R: incremental search backwards through history
+    startReverseSearch() {
+        if (this.reverseSearch) {
+            // Ctrl+R again jumps to the next older match
+            this.updateReverseSearch(this.reverseSearch.query, this.reverseSearch.index - 1);
+            return;
+        }
         
-        if (matches.length === 1) {
-            this.input.value = matches[0];
-            this.currentLine = matches[0];
-            this.updateCursor();
-        } else if (matches.length > 1) {
-            this.showResponse([
-                '',
-                'Available completions:',
-                ...matches.map(match => `  ${match}`),
-                ''
-            ]);
+        this.reverseSearch = { query: '', index: this.history.length, savedLine: this.currentLine };
+        this.updateReverseSearch('');
+    }
+    
+    updateReverseSearch(query, from = this.history.length - 1) {
+        const search = this.reverseSearch;
+        const match = query ? this.history.search(query, from) : null;
+        
+        search.query = query;
+        search.failed = Boolean(query) && !match;
+        if (match) {
+            search.index = match.index;
+            this.setInputValue(match.entry);
+        }
+        
+        if (this.prompt) {
+            this.prompt.textContent = `(${search.failed ? 'failed ' : ''}reverse-i-search)\`${query}':`;
+        }
+    }
+    
+    // Returns true when the key was consumed by the search
+    handleReverseSearchKey(event) {
+        const search = this.reverseSearch;
+        
+        if (event.ctrlKey && event.key === 'r') {
+            event.preventDefault();
+            this.startReverseSearch();
+            return true;
+        }
+        
+        if (event.key === 'Escape' || (event.ctrlKey && (event.key === 'g' || event.key === 'c'))) {
+            event.preventDefault();
+            this.stopReverseSearch();
+            this.setInputValue(search.savedLine);
+            return true;
+        }
+        
+        if (event.key === 'Backspace') {
+            event.preventDefault();
+            this.updateReverseSearch(search.query.slice(0, -1));
+            return true;
+        }
+        
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            event.preventDefault();
+            this.updateReverseSearch(search.query + event.key, search.index);
+            return true;
+        }
+        
+        if (event.key === 'Shift' || event.key === 'Control' || event.key === 'Alt' || event.key === 'Meta') {
+            return true;
+        }
+        
+        // Any other key (Enter, arrows, Tab) accepts the match and keeps its usual meaning
+        this.stopReverseSearch();
+        if (search.index < this.history.length) {
+            this.historyIndex = search.index;
+        }
+        return false;
+    }
+    
+    stopReverseSearch() {
+        this.reverseSearch = null;
+        this.updatePrompt();
+    }
+    
+    handleTabCompletion(direction = 1) {
+        // Repeated Tab cycles through the candidates listed by the previous one
+        if (this.completion) {
+            const { candidates } = this.completion;
+            this.completion.index = (this.completion.index + direction + candidates.length) % candidates.length;
+            this.insertCompletion(candidates[this.completion.index].value, false);
+            return;
+        }
+        
+        const cursor = this.input.selectionStart ?? this.currentLine.length;
+        const result = this.completer.complete(this.currentLine.slice(0, cursor));
+        const { candidates, word } = result;
+        
+        if (candidates.length === 0) return;
+        
+        this.completion = { ...result, index: -1, end: cursor };
+        
+        if (candidates.length === 1) {
+            this.insertCompletion(candidates[0].value, !candidates[0].isDirectory);
+            this.completion = null;
+            return;
+        }
+        
+        // Fill in what all candidates share, list them when that adds nothing
+        const prefix = this.getCommonPrefix(candidates.map(candidate => candidate.value));
+        if (prefix.length > word.length) {
+            this.insertCompletion(prefix, false);
+            this.completion = null;
+        } else {
+            this.showCompletionList(candidates.map(candidate => candidate.label));
         }
     }
     
+    // Replace the word being completed; a final completion closes quotes and adds a space
+    insertCompletion(value, isFinal) {
+        const { start, end, quote } = this.completion;
+        
+        let text = (quote || '') + Completer.escape(value, quote);
+        if (isFinal) {
+            text += `${quote || ''} `;
+        }
+        
+        const before = this.currentLine.slice(0, start);
+        const after = this.currentLine.slice(end);
+        this.completion.end = start + text.length;
+        this.setInputValue(before + text + after, this.completion.end);
+    }
+    
+    getCommonPrefix(values) {
+        return values.reduce((prefix, value) => {
+            let i = 0;
+            while (i < prefix.length && prefix[i] === value[i]) i++;
+            return prefix.slice(0, i);
+        });
+    }
+    
+    // Print candidates column by column across the terminal width, like bash
+    showCompletionList(labels) {
+        this.addOutputLine(`${this.getPromptText()} ${this.currentLine}`, 'terminal-command');
+        this.showResponse(formatColumns(labels, { width: this.getColumns() }));
+    }
+    
+    // Width of the output area in characters, used to lay out tables and columns
+    getColumns() {
+        const charWidth = this.getTextWidth('M') || 8;
+        return Math.max(Math.floor((this.output.clientWidth - 20) / charWidth), 20);
+    }
+    
+    // Height of the output area in lines
+    getRows() {
+        const lineHeight = parseFloat(window.getComputedStyle(this.output).lineHeight) || 18;
+        return Math.max(Math.floor((this.output.clientHeight - 20) / lineHeight), 5);
+    }
+    
     cancelCurrentCommand() {
+        // Ctrl+C during the welcome animation prints the rest at once
+        if (this.isTyping && this.typingController) {
+            this.typingController.abort();
+            return;
+        }
+        
         this.clearInput();
         this.addOutputLine('^C', 'terminal-error');
+        this.continuation = null;
+        this.updatePrompt();
         this.addPromptLine();
     }
     
     clearInput() {
         this.input.value = '';
         this.currentLine = '';
-        this.updateCursor();
+        this.lineEditor.reset();
+        this.updateEditingMode();
         this.addPromptLine();
     }
     
@@ -326,37 +1152,43 @@ export class TerminalUI extends EventEmitter {
         }, 50);
     }
     
+    // The view follows new lines unless the visitor has scrolled up
     addOutputLine(text, className = 'terminal-response') {
-        const line = document.createElement('div');
-        line.className = `terminal-line ${className}`;
-        line.textContent = text;
-        this.output.appendChild(line);
-        this.scrollToBottom();
+        this.scrollback.push(text, className);
+        this.announceLine(text);
+        this.emit('output', text, className);
+    }
+    
+    announceLine(text) {
+        if (this.view) {
+            this.view.announce(text);
+        }
     }
     
     scrollToBottom() {
-        this.output.scrollTop = this.output.scrollHeight;
+        if (this.view) {
+            this.view.scrollToBottom();
+        }
     }
     
     async showWelcomeMessage() {
+        // The name centred in the 42 columns of the box
+        const { name } = this.content;
+        const t = key => this.i18n.t(key);
         const welcomeLines = [
             '',
             '╔══════════════════════════════════════════╗',
             '║         PORTFOLIO TERMINAL v2.0          ║',
-            '║              Abhay Bhingradia             ║',
+            `║${name.padStart(21 + Math.ceil(name.length / 2)).padEnd(42)}║`,
             '╚══════════════════════════════════════════╝',
             '',
-            'Welcome to my interactive 3D portfolio!',
+            t('welcome.greeting'),
             '',
-            'Available commands:',
-            '  help      - Show all commands',
-            '  tour      - Start 3D interactive tour',
-            '  about     - Learn about me',
-            '  projects  - View my work',
-            '  contact   - Get in touch',
-            '  resume    - Download resume',
+            t('welcome.commands'),
+            ...['help', 'tour', 'about', 'projects', 'contact', 'resume']
+                .map(command => `  ${command.padEnd(10)}- ${t(`welcome.${command}`)}`),
             '',
-            'TIP: Scroll to disassemble the laptop or click on 3D parts!',
+            t('welcome.tip'),
             ''
         ];
         
@@ -365,29 +1197,62 @@ export class TerminalUI extends EventEmitter {
     
     async typewriterEffect(lines) {
         this.isTyping = true;
+        this.typingController = new AbortController();
+        const { signal } = this.typingController;
         
         for (const line of lines) {
-            await this.typeLine(line);
-            await this.sleep(100);
+            await this.typeLine(line, signal);
+            await this.sleep(100, signal);
         }
         
         this.isTyping = false;
+        this.typingController = null;
     }
     
-    async typeLine(text) {
-        const line = document.createElement('div');
-        line.className = 'terminal-line terminal-response';
-        this.output.appendChild(line);
+    // One buffer update per animation frame, however many characters are due by then
+    async typeLine(text, signal = null) {
+        const line = this.scrollback.push('', 'terminal-response');
+        const start = performance.now();
         
-        for (let i = 0; i <= text.length; i++) {
-            line.textContent = text.substring(0, i);
-            this.scrollToBottom();
-            await this.sleep(this.typewriterDelay);
-        }
+        await new Promise(resolve => {
+            const step = (now) => {
+                // Once aborted the whole line appears without waiting
+                const count = signal && signal.aborted
+                    ? text.length
+                    : Math.min(Math.floor((now - start) / this.typewriterDelay) + 1, text.length);
+                    
+                if (count !== line.text.length) {
+                    this.scrollback.update(line, text.slice(0, count));
+                }
+                if (count >= text.length) {
+                    resolve();
+                } else {
+                    requestAnimationFrame(step);
+                }
+            };
+            requestAnimationFrame(step);
+        });
+        
+        this.announceLine(text);
+        this.emit('output', text, 'terminal-response');
     }
     
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Resolves after `ms`, or as soon as `signal` aborts
+    sleep(ms, signal = null) {
+        return new Promise(resolve => {
+            if (signal && signal.aborted) {
+                resolve();
+                return;
+            }
+            
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            }
+        });
     }
     
     showResponse(lines) {
@@ -402,53 +1267,22 @@ export class TerminalUI extends EventEmitter {
         this.addOutputLine(message, 'terminal-error');
     }
     
-    showHelpCommand() {
-        const helpLines = [
-            '',
-            '=== AVAILABLE COMMANDS ===',
-            ''
-        ];
+    // Read every named file, or stdin when there are none
+    readInputs(command, operands, io) {
+        if (operands.length === 0) {
+            return [{ name: '-', text: io.stdin }];
+        }
         
-        this.commands.forEach((cmd, name) => {
-            helpLines.push(`  ${name.padEnd(12)} - ${cmd.description}`);
+        const inputs = [];
+        operands.forEach(path => {
+            try {
+                inputs.push({ name: path, text: path === '-' ? io.stdin : this.fs.readFile(path) });
+            } catch (error) {
+                io.stderr.write(`${command}: ${error.message}`);
+            }
         });
         
-        helpLines.push('');
-        this.showResponse(helpLines);
-    }
-    
-    showWhoAmI() {
-        const whoAmILines = [
-            '',
-            '👤 USER INFO',
-            '',
-            '  Name: Abhay Bhingradia',
-            '  Role: Web Developer',
-            '  Location: Portfolio Terminal',
-            '  Status: Online',
-            '  Skills: JavaScript, React, Three.js, Node.js',
-            ''
-        ];
-        
-        this.showResponse(whoAmILines);
-    }
-    
-    showDirectoryListing() {
-        const lsLines = [
-            '',
-            'drwxr-xr-x  1 abhay  users   256 Jul 29 2025 about/',
-            'drwxr-xr-x  1 abhay  users   512 Jul 29 2025 projects/',
-            'drwxr-xr-x  1 abhay  users   128 Jul 29 2025 contact/',
-            '-rw-r--r--  1 abhay  users  1024 Jul 29 2025 resume.pdf',
-            '-rw-r--r--  1 abhay  users   256 Jul 29 2025 README.md',
-            ''
-        ];
-        
-        this.showResponse(lsLines);
-    }
-    
-    showCurrentPath() {
-        this.showResponse(['', '/home/portfolio/abhay.bhingradia.com', '']);
+        return inputs;
     }
     
     showHint(message) {
@@ -463,16 +1297,15 @@ export class TerminalUI extends EventEmitter {
             this.hint.style.opacity = '0.5';
             setTimeout(() => {
                 if (this.hint) {
-                    this.hint.textContent = 'Type "help" to begin your journey';
+                    this.hint.textContent = this.i18n.t('terminal.hint.start');
                 }
             }, 1000);
         }
     }
     
     clear() {
-        if (this.output) {
-            this.output.innerHTML = '';
-        }
+        this.scrollback.clear();
+        this.emit('clear');
     }
     
     minimize() {
@@ -499,12 +1332,12 @@ export class TerminalUI extends EventEmitter {
     showRestoreHint() {
         const restoreHint = document.createElement('div');
         restoreHint.id = 'restore-hint';
-        restoreHint.textContent = 'Press any key to restore terminal';
+        restoreHint.textContent = this.i18n.t('terminal.restore');
         restoreHint.style.cssText = `
             position: fixed;
             bottom: 20px;
             left: 20px;
-            color: #00ff41;
+            color: var(--theme-accent);
             font-family: 'Courier New', monospace;
             font-size: 12px;
             opacity: 0.7;
@@ -539,6 +1372,11 @@ export class TerminalUI extends EventEmitter {
         } else {
             this.overlay.style.fontSize = '14px';
         }
+        
+        // Lines wrap differently now
+        if (this.view) {
+            this.view.invalidate();
+        }
     }
     
     dispose() {
@@ -546,14 +1384,38 @@ export class TerminalUI extends EventEmitter {
         if (this.input) {
             this.input.removeEventListener('keydown', this.handleKeyDown);
             this.input.removeEventListener('input', this.handleInput);
+            this.input.removeEventListener('paste', this.handlePaste);
+            this.input.removeEventListener('keyup', this.updateCursor);
+            this.input.removeEventListener('click', this.updateCursor);
             this.input.removeEventListener('blur', this.handleBlur);
         }
         
         if (this.overlay) {
             this.overlay.removeEventListener('click', this.focusInput);
-            this.overlay.removeEventListener('contextmenu', (e) => e.preventDefault());
+            this.overlay.removeEventListener('contextmenu', this.preventContextMenu);
+        }
+        
+        if (this.output) {
+            this.output.removeEventListener('click', this.handleOutputClick);
         }
         
         this.hideRestoreHint();
+        this.reverseSearch = null;
+        
+        // Stop whatever is still running
+        if (this.foregroundJob) {
+            this.foregroundJob.abort('SIGTERM');
+        }
+        if (this.typingController) {
+            this.typingController.abort();
+        }
+        this.jobs.dispose();
+        if (this.view) {
+            this.view.dispose();
+        }
+        if (this.recorder.isRecording) {
+            this.recorder.stop();
+        }
+        this.removeAllListeners();
     }
 }
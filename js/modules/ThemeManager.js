@@ -0,0 +1,230 @@
+// Theme Manager - Colour themes for the page, the terminal and the 3D scene
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Every theme sets the CSS custom properties used by style.css and by the
+ * inline styles of the other modules, plus the colours of the scene lights,
+ * particles and grid (as hex numbers for three.js).
+ */
+export const THEMES = {
+    matrix: {
+        label: 'Matrix green on black',
+        scheme: 'dark',
+        colors: {
+            background: '#0a0a0a',
+            surface: '#111111',
+            overlay: 'rgba(0, 0, 0, 0.85)',
+            text: '#00ff41',
+            accent: '#00ff41',
+            accentSoft: 'rgba(0, 255, 65, 0.1)',
+            accentMuted: 'rgba(0, 255, 65, 0.3)',
+            error: '#ff5f56'
+        },
+        scene: { primary: 0x00ff41, secondary: 0x0088ff, ambient: 0x404040 }
+    },
+    amber: {
+        label: 'Amber phosphor monitor',
+        scheme: 'dark',
+        colors: {
+            background: '#0d0800',
+            surface: '#140c00',
+            overlay: 'rgba(13, 8, 0, 0.88)',
+            text: '#ffb000',
+            accent: '#ffb000',
+            accentSoft: 'rgba(255, 176, 0, 0.1)',
+            accentMuted: 'rgba(255, 176, 0, 0.3)',
+            error: '#ff6b4a'
+        },
+        scene: { primary: 0xffb000, secondary: 0xff6a00, ambient: 0x403020 }
+    },
+    solarized: {
+        label: 'Solarized dark',
+        scheme: 'dark',
+        colors: {
+            background: '#002b36',
+            surface: '#073642',
+            overlay: 'rgba(0, 43, 54, 0.9)',
+            text: '#93a1a1',
+            accent: '#2aa198',
+            accentSoft: 'rgba(42, 161, 152, 0.12)',
+            accentMuted: 'rgba(42, 161, 152, 0.35)',
+            error: '#dc322f'
+        },
+        scene: { primary: 0x2aa198, secondary: 0x268bd2, ambient: 0x405055 }
+    },
+    light: {
+        label: 'Dark text on a light background',
+        scheme: 'light',
+        colors: {
+            background: '#f5f5f0',
+            surface: '#ffffff',
+            overlay: 'rgba(250, 250, 247, 0.94)',
+            text: '#1f2a1f',
+            accent: '#007a33',
+            accentSoft: 'rgba(0, 122, 51, 0.08)',
+            accentMuted: 'rgba(0, 122, 51, 0.3)',
+            error: '#c62828'
+        },
+        scene: { primary: 0x007a33, secondary: 0x1565c0, ambient: 0x909090 }
+    },
+    'high-contrast': {
+        label: 'White and yellow on pure black',
+        scheme: 'dark',
+        colors: {
+            background: '#000000',
+            surface: '#000000',
+            overlay: 'rgba(0, 0, 0, 0.97)',
+            text: '#ffffff',
+            accent: '#ffff00',
+            accentSoft: 'rgba(255, 255, 0, 0.15)',
+            accentMuted: 'rgba(255, 255, 0, 0.5)',
+            error: '#ff4040'
+        },
+        scene: { primary: 0xffffff, secondary: 0xffff00, ambient: 0x808080 }
+    }
+};
+
+// `auto` follows the operating system preferences
+export const AUTO_THEME = 'auto';
+
+export class ThemeManager extends EventEmitter {
+    constructor({ storageKey = 'portfolio:theme' } = {}) {
+        super();
+        
+        this.storageKey = storageKey;
+        this.themes = new Map(Object.entries(THEMES));
+        
+        // Chosen setting (a theme name or `auto`) and the theme actually shown
+        this.preference = AUTO_THEME;
+        this.current = null;
+        this.previewTimer = null;
+        this.endPreview = null;
+        
+        this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+        this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+        
+        // Bound handlers so dispose() can remove them
+        this.handleSystemChange = this.handleSystemChange.bind(this);
+    }
+    
+    init() {
+        this.preference = this.loadPreference();
+        this.colorSchemeQuery.addEventListener('change', this.handleSystemChange);
+        this.contrastQuery.addEventListener('change', this.handleSystemChange);
+        this.apply(this.resolve(this.preference));
+    }
+    
+    // Other modules can ship their own themes
+    register(name, theme) {
+        this.themes.set(name, theme);
+    }
+    
+    names() {
+        return Array.from(this.themes.keys());
+    }
+    
+    get(name) {
+        return this.themes.get(name) || null;
+    }
+    
+    // Theme name for a preference, resolving `auto` against the system settings
+    resolve(preference) {
+        if (preference !== AUTO_THEME && this.themes.has(preference)) {
+            return preference;
+        }
+        if (this.contrastQuery.matches) return 'high-contrast';
+        return this.colorSchemeQuery.matches ? 'light' : 'matrix';
+    }
+    
+    loadPreference() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved && this.themes.has(saved) ? saved : AUTO_THEME;
+        } catch (error) {
+            return AUTO_THEME;
+        }
+    }
+    
+    // Make `preference` the persistent choice and show it
+    set(preference) {
+        if (preference !== AUTO_THEME && !this.themes.has(preference)) {
+            throw new Error(`unknown theme '${preference}'`);
+        }
+        
+        this.cancelPreview();
+        this.preference = preference;
+        
+        try {
+            if (preference === AUTO_THEME) {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, preference);
+            }
+        } catch (error) {
+            console.warn('Could not save theme:', error);
+        }
+        
+        this.apply(this.resolve(preference));
+    }
+    
+    /**
+     * Show a theme for a while without saving it. The returned promise
+     * settles when the saved theme is back, or when the preview is cut short
+     * by set() or another preview.
+     */
+    preview(name, duration = 3000) {
+        if (!this.themes.has(name)) {
+            throw new Error(`unknown theme '${name}'`);
+        }
+        
+        this.cancelPreview();
+        this.apply(name);
+        
+        return new Promise(resolve => {
+            this.endPreview = resolve;
+            this.previewTimer = setTimeout(() => {
+                this.cancelPreview();
+                this.apply(this.resolve(this.preference));
+            }, duration);
+        });
+    }
+    
+    cancelPreview() {
+        if (this.previewTimer) {
+            clearTimeout(this.previewTimer);
+            this.previewTimer = null;
+        }
+        if (this.endPreview) {
+            this.endPreview();
+            this.endPreview = null;
+        }
+    }
+    
+    apply(name) {
+        const theme = this.themes.get(name);
+        const root = document.documentElement;
+        
+        Object.entries(theme.colors).forEach(([key, value]) => {
+            // accentSoft -> --theme-accent-soft
+            root.style.setProperty(`--theme-${key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`, value);
+        });
+        root.style.colorScheme = theme.scheme;
+        root.dataset.theme = name;
+        
+        this.current = name;
+        this.emit('change', { name, ...theme });
+    }
+    
+    handleSystemChange() {
+        if (this.preference === AUTO_THEME && !this.previewTimer) {
+            this.apply(this.resolve(AUTO_THEME));
+        }
+    }
+    
+    dispose() {
+        this.cancelPreview();
+        this.colorSchemeQuery.removeEventListener('change', this.handleSystemChange);
+        this.contrastQuery.removeEventListener('change', this.handleSystemChange);
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,228 @@
+// Timeline - Tweens numeric properties (of Three.js vectors, materials...) on a seekable timeline
+import { EventEmitter } from './EventEmitter.js';
+
+// Easing functions by name, the same names anime.js uses; `t` runs from 0 to 1
+const easeOutBounce = t => {
+    if (t < 1 / 2.75) return 7.5625 * t * t;
+    if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+    if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+};
+
+const easeIn = {
+    Quad: t => t * t,
+    Cubic: t => t * t * t,
+    Quart: t => t ** 4,
+    Quint: t => t ** 5,
+    Sine: t => 1 - Math.cos((t * Math.PI) / 2),
+    Expo: t => (t === 0 ? 0 : 2 ** (10 * t - 10)),
+    Circ: t => 1 - Math.sqrt(1 - t * t),
+    Back: t => 2.70158 * t ** 3 - 1.70158 * t * t,
+    Bounce: t => 1 - easeOutBounce(1 - t)
+};
+
+export const EASINGS = { linear: t => t };
+Object.entries(easeIn).forEach(([name, ease]) => {
+    EASINGS[`easeIn${name}`] = ease;
+    EASINGS[`easeOut${name}`] = t => 1 - ease(1 - t);
+    EASINGS[`easeInOut${name}`] = t => (t < 0.5 ? ease(t * 2) / 2 : 1 - ease((1 - t) * 2) / 2);
+});
+
+export const DEFAULT_TWEEN_DURATION = 1000;
+
+/**
+ * Segments tween properties of their target between two values; a
+ * property can have several segments one after the other. The values at
+ * any time depend on that time alone, so `seek()` can jump anywhere in
+ * either direction (scroll scrubbing) and always shows the same frame.
+ *
+ * Events: `update` (time) after every frame, `label` (name, direction)
+ * when the playhead reaches a label going forward (direction 1) or
+ * backward (-1), and `complete` (direction) when play() or reverse()
+ * reaches an end.
+ */
+export class Timeline extends EventEmitter {
+    constructor() {
+        super();
+        
+        this.time = 0;
+        this.duration = 0;
+        this.labels = [];
+        
+        // target -> property -> segments by start time
+        this.tracks = new Map();
+        
+        // Playback
+        this.frame = null;
+        this.stopPlayback = null;
+    }
+    
+    /**
+     * Tween the properties of `target` to the values in `to`, e.g.
+     * `add(mesh.position, { x: 2, y: 1 }, { at: 500, duration: 800, easing: 'easeOutCubic' })`.
+     * A segment starts at `at` (the current end of the timeline by default)
+     * and from `from`, the end of the property's previous segment, or the
+     * value the property has now. `update` runs after every frame that
+     * renders the segment.
+     */
+    add(target, to, { at = this.duration, duration = DEFAULT_TWEEN_DURATION, easing = 'linear', from = {}, update = null } = {}) {
+        const ease = EASINGS[easing];
+        if (!ease) {
+            throw new Error(`unknown easing '${easing}'`);
+        }
+        
+        if (!this.tracks.has(target)) {
+            this.tracks.set(target, new Map());
+        }
+        const properties = this.tracks.get(target);
+        
+        Object.entries(to).forEach(([property, value]) => {
+            const segments = properties.get(property) || [];
+            const previous = segments.filter(segment => segment.start <= at).pop();
+            segments.push({
+                property,
+                start: at,
+                end: at + duration,
+                from: from[property] ?? (previous ? previous.to : target[property]),
+                to: value,
+                ease,
+                update
+            });
+            segments.sort((a, b) => a.start - b.start);
+            properties.set(property, segments);
+        });
+        
+        this.duration = Math.max(this.duration, at + duration);
+        return this;
+    }
+    
+    addLabel(name, time = this.duration) {
+        this.labels.push({ name, time });
+        this.labels.sort((a, b) => a.time - b.time);
+        this.duration = Math.max(this.duration, time);
+        return this;
+    }
+    
+    getLabel(name) {
+        const label = this.labels.find(candidate => candidate.name === name);
+        return label ? label.time : null;
+    }
+    
+    /**
+     * Show the frame at `time` ms (or at a label). Every label between the
+     * previous time and this one is announced in the order it is passed.
+     */
+    seek(time) {
+        const target = typeof time === 'string' ? this.getLabel(time) : time;
+        if (target === null) {
+            throw new Error(`unknown label '${time}'`);
+        }
+        
+        const previous = this.time;
+        this.time = Math.max(0, Math.min(this.duration, target));
+        this.render();
+        
+        if (this.time > previous) {
+            this.labels
+                .filter(label => label.time > previous && label.time <= this.time)
+                .forEach(label => this.emit('label', label.name, 1));
+        } else if (this.time < previous) {
+            this.labels
+                .filter(label => label.time < previous && label.time >= this.time)
+                .reverse()
+                .forEach(label => this.emit('label', label.name, -1));
+        }
+        
+        this.emit('update', this.time);
+        return this;
+    }
+    
+    render() {
+        const updates = new Set();
+        
+        this.tracks.forEach((properties, target) => {
+            properties.forEach(segments => {
+                // The last segment to have started, or the first one before any has
+                const segment = segments.filter(candidate => candidate.start <= this.time).pop() || segments[0];
+                const length = segment.end - segment.start;
+                const progress = length > 0 ? Math.max(0, Math.min(1, (this.time - segment.start) / length)) : 1;
+                const value = segment.from + (segment.to - segment.from) * segment.ease(progress);
+                
+                target[segment.property] = value;
+                if (segment.update) {
+                    updates.add(segment.update);
+                }
+            });
+        });
+        
+        updates.forEach(update => update());
+    }
+    
+    /**
+     * Play from the current time to the end (`direction` 1) or back to the
+     * start (-1). Resolves with true once there, or false when pause() or
+     * another play() stops it first.
+     */
+    play(direction = 1) {
+        this.pause();
+        
+        return new Promise(resolve => {
+            this.stopPlayback = () => resolve(false);
+            let last = performance.now();
+            
+            const step = now => {
+                const end = direction > 0 ? this.duration : 0;
+                const time = this.time + (now - last) * direction;
+                const isDone = direction > 0 ? time >= end : time <= end;
+                last = now;
+                
+                this.seek(isDone ? end : time);
+                if (!isDone) {
+                    this.frame = requestAnimationFrame(step);
+                    return;
+                }
+                
+                this.frame = null;
+                this.stopPlayback = null;
+                this.emit('complete', direction);
+                resolve(true);
+            };
+            this.frame = requestAnimationFrame(step);
+        });
+    }
+    
+    reverse() {
+        return this.play(-1);
+    }
+    
+    pause() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.stopPlayback) {
+            this.stopPlayback();
+            this.stopPlayback = null;
+        }
+    }
+    
+    get isPlaying() {
+        return this.frame !== null;
+    }
+    
+    dispose() {
+        this.pause();
+        this.removeAllListeners();
+    }
+}
+
+/**
+ * One-off tween that starts right away, e.g. moving the camera:
+ * `tween(camera.position, { x: 0, y: 2 }, { duration: 800, easing: 'easeOutCubic' })`.
+ * Returns the timeline; `finished` resolves like play().
+ */
+export function tween(target, to, options) {
+    const timeline = new Timeline().add(target, to, { ...options, at: 0 });
+    timeline.finished = timeline.play();
+    return timeline;
+}
@@ -0,0 +1,118 @@
+// Transcript - Text, Markdown and HTML copies of the terminal output for download
+import { renderAnsi, stripAnsi } from './RichText.js';
+
+export const TRANSCRIPT_FORMATS = {
+    txt: 'text/plain',
+    md: 'text/markdown',
+    html: 'text/html'
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Stylesheet for the HTML transcript: the page's own rules for terminal
+ * lines and ANSI classes, with the custom properties they use resolved to
+ * the colours of the current theme.
+ */
+function collectStyles() {
+    const rules = [];
+    
+    Array.from(document.styleSheets).forEach(sheet => {
+        let cssRules;
+        try {
+            cssRules = Array.from(sheet.cssRules);
+        } catch (error) {
+            // Cross-origin stylesheets (web fonts) cannot be read
+            return;
+        }
+        cssRules
+            .filter(rule => rule.selectorText && /\.(ansi-|terminal-(line|error|command|link))/.test(rule.selectorText))
+            .forEach(rule => rules.push(rule.cssText));
+    });
+    
+    const computed = window.getComputedStyle(document.documentElement);
+    const variables = new Set(['--theme-background', '--theme-text']);
+    rules.forEach(rule => (rule.match(/--[\w-]+/g) || []).forEach(name => variables.add(name)));
+    
+    const root = Array.from(variables)
+        .map(name => `  ${name}: ${computed.getPropertyValue(name).trim()};`)
+        .join('\n');
+    
+    return [
+        `:root {\n${root}\n}`,
+        'body { margin: 0; padding: 1rem; background: var(--theme-background); color: var(--theme-text); }',
+        'pre { margin: 0; font-family: \'Courier New\', monospace; white-space: pre-wrap; }',
+        ...rules
+    ].join('\n');
+}
+
+// A scrollback line as static HTML; clickable commands become plain styled text
+function lineToHtml(line) {
+    const copy = document.createElement('div');
+    copy.className = `terminal-line ${line.className}`;
+    copy.appendChild(renderAnsi(line.text));
+    copy.querySelectorAll('button').forEach(button => {
+        const span = document.createElement('span');
+        span.className = button.className;
+        span.textContent = button.textContent;
+        button.replaceWith(span);
+    });
+    return copy.outerHTML;
+}
+
+/**
+ * Render scrollback `lines` (`{ text, className }`, see ScrollbackBuffer) as
+ * `format` (a key of TRANSCRIPT_FORMATS). Lines scrolled out of view are
+ * included; only the ones past the scrollback limit are gone.
+ */
+export function formatTranscript(lines, format, { title = 'Terminal transcript' } = {}) {
+    const text = lines.map(line => stripAnsi(line.text)).join('\n');
+    
+    if (format === 'md') {
+        // The fence must be longer than any run of backticks in the output
+        const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        return `# ${title}\n\n${fence}console\n${text}\n${fence}\n`;
+    }
+    
+    if (format === 'html') {
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escapeHtml(title)}</title>`,
+            `<style>\n${collectStyles()}\n</style>`,
+            '</head>',
+            '<body>',
+            `<pre>${lines.map(lineToHtml).join('')}</pre>`,
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+    
+    return `${text}\n`;
+}
+
+// Save `content` through the browser's download prompt
+export function downloadFile(filename, content, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    anchor.style.display = 'none';
+    
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,368 @@
+// Virtual File System - In-memory directory tree browsed from the terminal
+
+// Errors mirror the wording of a POSIX shell so commands can print them as-is
+const ERROR_MESSAGES = {
+    ENOENT: 'No such file or directory',
+    ENOTDIR: 'Not a directory',
+    EISDIR: 'Is a directory',
+    EACCES: 'Permission denied',
+    EEXIST: 'File exists'
+};
+
+export class FileSystemError extends Error {
+    constructor(code, path) {
+        super(`${path}: ${ERROR_MESSAGES[code] || code}`);
+        this.name = 'FileSystemError';
+        this.code = code;
+        this.path = path;
+    }
+}
+
+export class VirtualFileSystem {
+    constructor(options = {}) {
+        // Identity of the visitor using the terminal
+        this.user = options.user || 'visitor';
+        this.groups = options.groups || ['users'];
+        
+        // Locations
+        this.home = options.home || '/home/portfolio/abhay.bhingradia.com';
+        this.root = this.createNode('dir', '', { mode: 0o755, owner: 'root', group: 'root' });
+        this.cwd = '/';
+        this.previousCwd = null;
+        
+        // Callbacks run after a file is written, keyed by absolute path
+        this.watchers = new Map();
+        
+        // Make sure the home directory always exists
+        this.mkdir(this.home, { parents: true, mode: 0o775, owner: 'abhay', group: 'users' });
+        this.cwd = this.home;
+    }
+    
+    createNode(type, name, options = {}) {
+        const node = {
+            type,
+            name,
+            mode: options.mode !== undefined ? options.mode : (type === 'dir' ? 0o755 : 0o644),
+            owner: options.owner || this.user,
+            group: options.group || this.groups[0],
+            mtime: options.mtime || new Date(),
+            parent: null
+        };
+        
+        if (type === 'dir') {
+            node.children = new Map();
+        } else {
+            node.content = '';
+        }
+        
+        return node;
+    }
+    
+    // Path handling
+    resolve(path = '.') {
+        let target = String(path);
+        
+        if (target === '~' || target.startsWith('~/')) {
+            target = this.home + target.slice(1);
+        }
+        
+        if (!target.startsWith('/')) {
+            target = `${this.cwd}/${target}`;
+        }
+        
+        const segments = [];
+        target.split('/').forEach(segment => {
+            if (!segment || segment === '.') return;
+            if (segment === '..') {
+                segments.pop();
+            } else {
+                segments.push(segment);
+            }
+        });
+        
+        return `/${segments.join('/')}`;
+    }
+    
+    dirname(path) {
+        const absolute = this.resolve(path);
+        const index = absolute.lastIndexOf('/');
+        return index <= 0 ? '/' : absolute.slice(0, index);
+    }
+    
+    basename(path) {
+        const absolute = this.resolve(path);
+        return absolute.slice(absolute.lastIndexOf('/') + 1);
+    }
+    
+    displayPath(path = this.cwd) {
+        const absolute = this.resolve(path);
+        if (absolute === this.home) return '~';
+        if (absolute.startsWith(`${this.home}/`)) {
+            return `~${absolute.slice(this.home.length)}`;
+        }
+        return absolute;
+    }
+    
+    getPath(node) {
+        const segments = [];
+        for (let current = node; current && current !== this.root; current = current.parent) {
+            segments.unshift(current.name);
+        }
+        return `/${segments.join('/')}`;
+    }
+    
+    // Node lookup
+    getNode(path) {
+        const absolute = this.resolve(path);
+        let node = this.root;
+        
+        for (const segment of absolute.split('/').filter(Boolean)) {
+            if (node.type !== 'dir') return null;
+            node = node.children.get(segment);
+            if (!node) return null;
+        }
+        
+        return node;
+    }
+    
+    exists(path) {
+        return this.getNode(path) !== null;
+    }
+    
+    isDirectory(path) {
+        const node = this.getNode(path);
+        return Boolean(node && node.type === 'dir');
+    }
+    
+    stat(path) {
+        const node = this.getNode(path);
+        if (!node) {
+            throw new FileSystemError('ENOENT', path);
+        }
+        
+        return {
+            name: node.name,
+            path: this.getPath(node),
+            type: node.type,
+            mode: node.mode,
+            owner: node.owner,
+            group: node.group,
+            size: this.getSize(node),
+            mtime: node.mtime
+        };
+    }
+    
+    getSize(node) {
+        return node.type === 'dir' ? 4096 : new Blob([node.content]).size;
+    }
+    
+    // Permissions
+    hasPermission(node, bit) {
+        let shift = 0;
+        if (node.owner === this.user) {
+            shift = 6;
+        } else if (this.groups.includes(node.group)) {
+            shift = 3;
+        }
+        
+        return Boolean((node.mode >> shift) & bit);
+    }
+    
+    canRead(node) {
+        return this.hasPermission(node, 0o4);
+    }
+    
+    canWrite(node) {
+        return this.hasPermission(node, 0o2);
+    }
+    
+    canExecute(node) {
+        return this.hasPermission(node, 0o1);
+    }
+    
+    formatMode(node) {
+        const flags = ['r', 'w', 'x'];
+        let result = node.type === 'dir' ? 'd' : '-';
+        
+        for (let shift = 6; shift >= 0; shift -= 3) {
+            const bits = (node.mode >> shift) & 0o7;
+            flags.forEach((flag, index) => {
+                result += bits & (0o4 >> index) ? flag : '-';
+            });
+        }
+        
+        return result;
+    }
+    
+    // Directory operations
+    mkdir(path, options = {}) {
+        const absolute = this.resolve(path);
+        const existing = this.getNode(absolute);
+        
+        if (existing) {
+            if (existing.type === 'dir' && options.parents) return existing;
+            throw new FileSystemError('EEXIST', path);
+        }
+        
+        const parentPath = this.dirname(absolute);
+        let parent = this.getNode(parentPath);
+        
+        if (!parent) {
+            if (!options.parents) {
+                throw new FileSystemError('ENOENT', path);
+            }
+            parent = this.mkdir(parentPath, options);
+        }
+        
+        if (parent.type !== 'dir') {
+            throw new FileSystemError('ENOTDIR', parentPath);
+        }
+        
+        const node = this.createNode('dir', this.basename(absolute), options);
+        this.attach(parent, node);
+        return node;
+    }
+    
+    readdir(path = '.') {
+        const node = this.getNode(path);
+        
+        if (!node) {
+            throw new FileSystemError('ENOENT', path);
+        }
+        if (node.type !== 'dir') {
+            throw new FileSystemError('ENOTDIR', path);
+        }
+        if (!this.canRead(node)) {
+            throw new FileSystemError('EACCES', path);
+        }
+        
+        return Array.from(node.children.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    chdir(path = '~') {
+        const target = path === '-' ? this.previousCwd : path;
+        if (!target) {
+            throw new FileSystemError('ENOENT', path);
+        }
+        
+        const node = this.getNode(target);
+        
+        if (!node) {
+            throw new FileSystemError('ENOENT', path);
+        }
+        if (node.type !== 'dir') {
+            throw new FileSystemError('ENOTDIR', path);
+        }
+        if (!this.canExecute(node)) {
+            throw new FileSystemError('EACCES', path);
+        }
+        
+        this.previousCwd = this.cwd;
+        this.cwd = this.getPath(node);
+        return this.cwd;
+    }
+    
+    getcwd() {
+        return this.cwd;
+    }
+    
+    // File operations
+    readFile(path) {
+        const node = this.getNode(path);
+        
+        if (!node) {
+            throw new FileSystemError('ENOENT', path);
+        }
+        if (node.type === 'dir') {
+            throw new FileSystemError('EISDIR', path);
+        }
+        if (!this.canRead(node)) {
+            throw new FileSystemError('EACCES', path);
+        }
+        
+        return node.content;
+    }
+    
+    writeFile(path, content, options = {}) {
+        const absolute = this.resolve(path);
+        let node = this.getNode(absolute);
+        
+        if (node) {
+            if (node.type === 'dir') {
+                throw new FileSystemError('EISDIR', path);
+            }
+            if (!options.force && !this.canWrite(node)) {
+                throw new FileSystemError('EACCES', path);
+            }
+        } else {
+            const parent = this.getNode(this.dirname(absolute));
+            
+            if (!parent) {
+                throw new FileSystemError('ENOENT', path);
+            }
+            if (parent.type !== 'dir') {
+                throw new FileSystemError('ENOTDIR', path);
+            }
+            if (!options.force && !this.canWrite(parent)) {
+                throw new FileSystemError('EACCES', path);
+            }
+            
+            node = this.createNode('file', this.basename(absolute), options);
+            this.attach(parent, node);
+        }
+        
+        node.content = options.append ? node.content + content : String(content);
+        node.mtime = options.mtime || new Date();
+        
+        (this.watchers.get(absolute) || []).forEach(callback => callback(node.content, absolute));
+        return node;
+    }
+    
+    // Call `callback(content, path)` whenever the file at `path` is written; returns an unsubscribe function
+    watch(path, callback) {
+        const absolute = this.resolve(path);
+        const callbacks = this.watchers.get(absolute) || [];
+        this.watchers.set(absolute, [...callbacks, callback]);
+        
+        return () => {
+            this.watchers.set(absolute, (this.watchers.get(absolute) || []).filter(existing => existing !== callback));
+        };
+    }
+    
+    attach(parent, node) {
+        node.parent = parent;
+        parent.children.set(node.name, node);
+    }
+    
+    // Translate a shell glob (`*`, `?`) into an anchored regular expression
+    static globToRegExp(pattern) {
+        const source = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}$`);
+    }
+    
+    // Depth-first walk used by `tree` and `find`
+    walk(path, visitor, depth = 0) {
+        const node = this.getNode(path);
+        if (!node) {
+            throw new FileSystemError('ENOENT', path);
+        }
+        
+        const visit = (current, currentPath, level) => {
+            if (visitor(current, currentPath, level) === false) return;
+            if (current.type !== 'dir' || !this.canRead(current)) return;
+            
+            Array.from(current.children.values())
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(child => {
+                    const childPath = currentPath === '/' ? `/${child.name}` : `${currentPath}/${child.name}`;
+                    visit(child, childPath, level + 1);
+                });
+        };
+        
+        visit(node, this.getPath(node), depth);
+    }
+}
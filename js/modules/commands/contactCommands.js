@@ -0,0 +1,101 @@
+// Contact Commands - `contact` shows how to reach me, `contact send` writes me a message
+import { PromptError } from '../Prompter.js';
+import { bold, commandLink, formatTable, link, wrapText } from '../RichText.js';
+
+const TOPICS = ['Work opportunity', 'Project collaboration', 'Question about this site', 'Just saying hi'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Default submit handler: opens the visitor's email app with the message
+ * filled in, so nothing is sent without them pressing Send.
+ */
+export function mailtoSubmit(message, content) {
+    const body = `${message.text}\n\n${message.name} <${message.email}>`;
+    const query = `subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(body)}`;
+    window.location.href = `mailto:${content.contact.email}?${query}`;
+    return 'Your email app should open with the message. Press Send there to deliver it.';
+}
+
+/**
+ * `submit(message, content)` delivers `{ name, email, subject, text }`,
+ * e.g. to a form service. It may be async, returns an optional line to show
+ * and throws to report a failure. `onShow` runs whenever `contact` opens.
+ */
+export function registerContactCommands(terminal, content, { submit = mailtoSubmit, onShow = () => {} } = {}) {
+    const { prompter } = terminal;
+    
+    const showDetails = (io) => {
+        const { email, links = [] } = content.contact;
+        const rows = [
+            ['Email', link(`mailto:${email}`, email)],
+            ...links.map(({ label, url }) => [label, link(url)])
+        ];
+        io.stdout.write([
+            '',
+            bold('📫 CONTACT'),
+            '',
+            ...formatTable(rows.map(([label, value]) => [`${label}:`, value]), { width: io.columns - 2 })
+                .map(line => `  ${line}`),
+            '',
+            `  Or write me right here: ${commandLink('contact send')}`,
+            ''
+        ]);
+    };
+    
+    const writeMessage = async (io) => {
+        io.stdout.write(['', bold('✉️  New message'), 'Press Ctrl+C to cancel at any time.', '']);
+        
+        const name = await prompter.ask(io, 'Your name', { required: true });
+        const email = await prompter.ask(io, 'Your email', {
+            required: true,
+            validate: value => (EMAIL_PATTERN.test(value) ? null : `"${value}" does not look like an email address.`)
+        });
+        const subject = await prompter.select(io, 'What is it about?', TOPICS);
+        const text = await prompter.ask(io, 'Message', {
+            required: true,
+            validate: value => (value.length >= 10 ? null : 'Please write at least a few words.')
+        });
+        
+        const preview = wrapText(text, io.columns - 4).map(line => `    ${line}`);
+        io.stdout.write(['', `  From:    ${name} <${email}>`, `  Subject: ${subject}`, '', ...preview, '']);
+        if (!await prompter.confirm(io, 'Send this message?')) {
+            io.stdout.write('Message discarded.');
+            return 1;
+        }
+        
+        const result = await submit({ name, email, subject, text }, content);
+        io.stdout.write(result || 'Message sent. Thank you!');
+    };
+    
+    terminal.registerCommand('contact', {
+        description: 'Get contact information or send me a message',
+        args: [{ name: 'action', choices: ['show', 'send'], default: 'show', description: 'show the details or send a message' }],
+        manual: [
+            '`contact send` asks for your name, email address, a topic and the',
+            'message, then opens your email app with everything filled in. Wrong',
+            'answers are asked again; Ctrl+C cancels.'
+        ],
+        examples: [
+            { command: 'contact', description: 'Email address and profiles' },
+            { command: 'contact send', description: 'Write me a message' }
+        ],
+        execute: async ({ args }, io) => {
+            onShow();
+            
+            if (args.action === 'show') {
+                showDetails(io);
+                return;
+            }
+            
+            try {
+                return await writeMessage(io);
+            } catch (error) {
+                // Ctrl+C already shows ^C
+                if (error instanceof PromptError && io.signal.aborted) return;
+                io.stderr.write(`contact: ${error.message}`);
+                return 1;
+            }
+        }
+    });
+}
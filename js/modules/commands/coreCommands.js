@@ -0,0 +1,122 @@
+// Core Commands - help, man, clear, history and whoami
+import { bold, color, commandLink, formatTable, link } from '../RichText.js';
+
+export function registerCoreCommands(terminal) {
+    const { registry, content } = terminal;
+    
+    terminal.registerCommand('help', {
+        description: 'Show available commands',
+        args: [{ name: 'command', type: 'command', description: 'Show the help of a single command' }],
+        examples: [
+            { command: 'help', description: 'List every command' },
+            { command: 'help ls', description: 'Same as `ls --help`' }
+        ],
+        execute: ({ args }, io) => {
+            if (args.command) {
+                const command = registry.get(args.command);
+                if (!command) {
+                    io.stderr.write(`help: no help topics match '${args.command}'`);
+                    return 1;
+                }
+                io.stdout.write(registry.formatHelp(command));
+                return 0;
+            }
+            
+            // Clicking a name runs it, or shows its usage when it needs arguments
+            const rows = registry.list().map(command => {
+                const needsArgs = command.args.some(arg => arg.required);
+                return [
+                    commandLink(needsArgs ? `help ${command.name}` : command.name, command.name),
+                    command.description
+                ];
+            });
+            
+            io.stdout.write([
+                '',
+                bold('=== AVAILABLE COMMANDS ==='),
+                '',
+                ...formatTable(rows, { width: io.columns - 2 }).map(line => `  ${line}`),
+                '',
+                `Run \`<command> --help\` or \`${commandLink('man man', 'man <command>')}\` for details.`,
+                'Combine commands with |, ;, && and ||, redirect output with > and >>.',
+                ''
+            ]);
+        }
+    });
+    
+    terminal.registerCommand('man', {
+        description: 'Show the manual page of a command',
+        args: [{ name: 'command', type: 'command', required: true, description: 'Command to document' }],
+        examples: [{ command: 'man find', description: 'Read the manual of find' }],
+        execute: ({ args }, io) => {
+            const command = registry.get(args.command);
+            if (!command) {
+                io.stderr.write(`No manual entry for ${args.command}`);
+                return 16;
+            }
+            io.stdout.write(registry.formatManPage(command));
+        }
+    });
+    
+    terminal.registerCommand('clear', {
+        description: 'Clear terminal output',
+        execute: () => terminal.clear()
+    });
+    
+    terminal.registerCommand('history', {
+        description: 'Show or clear the command history',
+        flags: {
+            clear: { alias: 'c', description: 'Delete every entry' }
+        },
+        args: [{ name: 'count', type: 'number', description: 'Only show the last <count> entries' }],
+        manual: [
+            'History is kept in this browser across visits. Repeated commands are',
+            'stored once. Recall entries with !! (last command), !n (entry n),',
+            '!-n (n commands back) or !prefix (newest command starting with prefix),',
+            'or search them with Ctrl+R.'
+        ],
+        examples: [
+            { command: 'history 5', description: 'The five most recent commands' },
+            { command: 'history | grep cd', description: 'Every directory change' }
+        ],
+        execute: ({ options, args }, io) => {
+            const { history } = terminal;
+            
+            if (options.clear) {
+                history.clear();
+                terminal.historyIndex = 0;
+                return;
+            }
+            
+            const total = history.length;
+            const start = args.count !== undefined ? Math.max(total - args.count, 0) : 0;
+            io.stdout.write(history.entries.slice(start).map((entry, index) => {
+                return `${String(start + index + 1).padStart(5)}  ${entry}`;
+            }));
+        }
+    });
+    
+    terminal.registerCommand('whoami', {
+        description: 'Display user information',
+        execute: (input, io) => {
+            const rows = [
+                ['Name', bold(content.name)],
+                ['Role', content.role],
+                ...(content.location ? [['Location', content.location]] : []),
+                ['Status', color('green', '● Online')],
+                ['Skills', content.skills.join(', ')],
+                ['Website', link(content.website)],
+                ['More', content.sections.map(({ id }) => commandLink(id)).join(', ')]
+            ];
+            
+            io.stdout.write([
+                '',
+                bold('👤 USER INFO'),
+                '',
+                ...formatTable(rows.map(([key, value]) => [`${key}:`, value]), { width: io.columns - 2 })
+                    .map(line => `  ${line}`),
+                ''
+            ]);
+        }
+    });
+}
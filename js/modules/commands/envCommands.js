@@ -0,0 +1,233 @@
+// Environment Commands - alias, unalias, export, unset, env, source and set
+import { ShellEnvironment, RC_FILE } from '../ShellEnvironment.js';
+import { KEYMAPS } from '../LineEditor.js';
+
+// Always single-quoted, the way bash prints aliases
+function singleQuote(value) {
+    return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+export function registerEnvCommands(terminal) {
+    const { env, fs, lineEditor } = terminal;
+    
+    terminal.registerCommand('alias', {
+        description: 'Define or list command aliases',
+        // `alias ll='ls -l'` must not read `-l` as an option
+        parseArgs: false,
+        args: [{ name: 'definition', variadic: true, description: 'NAME=VALUE to define, NAME to show' }],
+        manual: [
+            'An alias replaces the command name it stands for before the line runs,',
+            'so `alias p=projects` makes `p` show the projects. Aliases last until',
+            `the page is closed; put them in ${RC_FILE} to keep them.`
+        ],
+        examples: [
+            { command: 'alias p=projects', description: 'Type `p` for projects' },
+            { command: `echo "alias p=projects" >> ${RC_FILE}`, description: 'Keep it for the next visit' }
+        ],
+        execute: ({ args }, io) => {
+            if (args.definition.length === 0) {
+                io.stdout.write(env.listAliases().map(([name, value]) => `alias ${name}=${singleQuote(value)}`));
+                return;
+            }
+            
+            let status = 0;
+            args.definition.forEach(definition => {
+                const separator = definition.indexOf('=');
+                
+                if (separator === -1) {
+                    const value = env.getAlias(definition);
+                    if (value === undefined) {
+                        io.stderr.write(`alias: ${definition}: not found`);
+                        status = 1;
+                    } else {
+                        io.stdout.write(`alias ${definition}=${singleQuote(value)}`);
+                    }
+                    return;
+                }
+                
+                try {
+                    env.setAlias(definition.slice(0, separator), definition.slice(separator + 1));
+                } catch (error) {
+                    io.stderr.write(`alias: ${error.message}`);
+                    status = 1;
+                }
+            });
+            return status;
+        }
+    });
+    
+    terminal.registerCommand('unalias', {
+        description: 'Remove command aliases',
+        flags: {
+            all: { alias: 'a', description: 'Remove every alias' }
+        },
+        args: [{
+            name: 'name',
+            variadic: true,
+            description: 'Aliases to remove',
+            complete: () => env.listAliases().map(([name]) => name)
+        }],
+        execute: ({ options, args }, io) => {
+            if (options.all) {
+                env.listAliases().forEach(([name]) => env.unalias(name));
+                return;
+            }
+            if (args.name.length === 0) {
+                io.stderr.write('unalias: usage: unalias [-a] name [name ...]');
+                return 2;
+            }
+            
+            let status = 0;
+            args.name.forEach(name => {
+                if (!env.unalias(name)) {
+                    io.stderr.write(`unalias: ${name}: not found`);
+                    status = 1;
+                }
+            });
+            return status;
+        }
+    });
+    
+    terminal.registerCommand('export', {
+        description: 'Set environment variables',
+        flags: {
+            print: { alias: 'p', description: 'List every variable' }
+        },
+        args: [{ name: 'assignment', variadic: true, description: 'NAME=VALUE to set, lists every variable when omitted' }],
+        manual: [
+            'Variables are expanded as `$NAME` or `${NAME}` in unquoted and',
+            'double-quoted words; `$?` is the exit status of the last command.',
+            'PS1 sets the prompt: \\u is the user, \\w the current directory,',
+            '\\W its last part, \\h the host, \\$ the prompt sign and \\e starts a',
+            'colour escape, e.g. export PS1=\'\\e[36m\\w\\e[0m \\$\'.'
+        ],
+        examples: [
+            { command: 'export NAME=Ada', description: 'Then `echo "Hello $NAME"`' },
+            { command: 'export PS1=\'\\W \\$\'', description: 'A shorter prompt' }
+        ],
+        execute: ({ options, args }, io) => {
+            const assignments = args.assignment;
+            
+            if (options.print || assignments.length === 0) {
+                io.stdout.write(env.entries().map(([name, value]) => `declare -x ${name}="${value.replace(/(["\\$`])/g, '\\$1')}"`));
+                return;
+            }
+            
+            let status = 0;
+            assignments.forEach(assignment => {
+                const separator = assignment.indexOf('=');
+                const name = separator === -1 ? assignment : assignment.slice(0, separator);
+                
+                try {
+                    if (separator !== -1) {
+                        env.set(name, assignment.slice(separator + 1));
+                    } else if (!ShellEnvironment.isValidName(name)) {
+                        throw new Error(`\`${name}': not a valid identifier`);
+                    }
+                } catch (error) {
+                    io.stderr.write(`export: ${error.message}`);
+                    status = 1;
+                }
+            });
+            return status;
+        }
+    });
+    
+    terminal.registerCommand('unset', {
+        description: 'Remove environment variables',
+        args: [{
+            name: 'name',
+            required: true,
+            variadic: true,
+            description: 'Variables to remove',
+            complete: () => env.entries().map(([name]) => name)
+        }],
+        execute: ({ args }, io) => {
+            let status = 0;
+            args.name.forEach(name => {
+                try {
+                    env.unset(name);
+                } catch (error) {
+                    io.stderr.write(`unset: ${error.message}`);
+                    status = 1;
+                }
+            });
+            return status;
+        }
+    });
+    
+    terminal.registerCommand('env', {
+        description: 'Print the environment variables',
+        examples: [{ command: 'env | grep PS1', description: 'Show the prompt setting' }],
+        execute: (input, io) => {
+            io.stdout.write(env.entries().map(([name, value]) => `${name}=${value}`));
+        }
+    });
+    
+    terminal.registerCommand('source', {
+        description: 'Run the commands of a file',
+        aliases: ['.'],
+        args: [{ name: 'file', type: 'path', required: true, description: 'Script to run, one command line per line' }],
+        manual: [
+            `${RC_FILE} is sourced every time the terminal starts. Run`,
+            `\`source ${RC_FILE}\` after editing it to apply the changes now.`
+        ],
+        examples: [{ command: `source ${RC_FILE}`, description: 'Reload the startup script' }],
+        execute: async ({ args }, io) => {
+            let script;
+            try {
+                script = fs.readFile(args.file);
+            } catch (error) {
+                io.stderr.write(`source: ${error.message}`);
+                return 1;
+            }
+            return terminal.runScript(script, io.signal);
+        }
+    });
+    
+    terminal.registerCommand('set', {
+        description: 'Set shell options (the line editing keymap)',
+        // `-o` and `+o` are bash's own syntax, not flags
+        parseArgs: false,
+        args: [
+            { name: 'mode', choices: ['-o', '+o'], description: '-o turns an option on, +o off' },
+            { name: 'option', choices: KEYMAPS, description: 'Option to change, lists them all when omitted' }
+        ],
+        manual: [
+            'The command line is edited with emacs keys by default: Ctrl+A and',
+            'Ctrl+E jump to the start and end, Alt+B and Alt+F move by words,',
+            'Ctrl+U, Ctrl+K, Ctrl+W and Alt+D kill text, Ctrl+Y yanks it back and',
+            'Alt+Y cycles through older kills.',
+            '',
+            '`set -o vi` switches to vi keys: lines start in insert mode and',
+            'Escape enters normal mode (h l w b e 0 $, x d c y p r ~ u, k and j',
+            `for history). Put it in ${RC_FILE} to keep it.`
+        ],
+        examples: [
+            { command: 'set -o vi', description: 'Edit with vi keys' },
+            { command: 'set -o', description: 'Show which options are on' }
+        ],
+        execute: ({ args }, io) => {
+            const { mode, option } = args;
+            
+            if (!option) {
+                // `set -o` lists the options, `set +o` prints the commands that restore them
+                io.stdout.write(KEYMAPS.map(name => {
+                    const isOn = lineEditor.keymap === name;
+                    return mode === '+o' ? `set ${isOn ? '-o' : '+o'} ${name}` : `${name.padEnd(15)}${isOn ? 'on' : 'off'}`;
+                }));
+                return;
+            }
+            
+            if (!mode) {
+                io.stderr.write('set: usage: set [-o|+o] [option]');
+                return 2;
+            }
+            
+            // The keymaps exclude each other, turning one off turns the other on
+            const other = KEYMAPS.find(name => name !== option);
+            lineEditor.setKeymap(mode === '-o' ? option : other);
+            terminal.updateEditingMode();
+        }
+    });
+}
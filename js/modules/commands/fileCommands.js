@@ -0,0 +1,231 @@
+// File Commands - ls, cd, pwd, cat, tree and find over the virtual file system
+import { VirtualFileSystem } from '../VirtualFileSystem.js';
+import { ShellParser } from '../ShellParser.js';
+import { splitLines } from '../OutputStream.js';
+import { color, commandLink, formatColumns } from '../RichText.js';
+
+// In the visitor's language, e.g. `Oct 19, 2026` or `19. Okt. 2026`
+function formatFileDate(i18n, date) {
+    return i18n.formatDate(date, { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function formatEntryName(node, name = node.name) {
+    return node.type === 'dir' && !name.startsWith('.') ? `${name}/` : name;
+}
+
+// Coloured entry name that lists a directory or prints a file when clicked
+function formatEntryLink(node, name, path) {
+    const label = formatEntryName(node, name);
+    const command = `${node.type === 'dir' ? 'ls' : 'cat'} ${ShellParser.quote(path)}`;
+    return commandLink(command, node.type === 'dir' ? color('blue', label, { bright: true }) : label);
+}
+
+function formatLongEntry({ fs, i18n }, node, name = node.name, label = formatEntryName(node, name)) {
+    const stat = fs.stat(fs.getPath(node));
+    return [
+        fs.formatMode(node),
+        ' 1',
+        stat.owner.padEnd(6),
+        stat.group.padEnd(6),
+        String(stat.size).padStart(5),
+        formatFileDate(i18n, stat.mtime),
+        label
+    ].join(' ');
+}
+
+export function registerFileCommands(terminal) {
+    const { fs } = terminal;
+    
+    terminal.registerCommand('ls', {
+        description: 'List directory contents',
+        flags: {
+            long: { alias: 'l', description: 'Use a long listing format' },
+            all: { alias: 'a', description: 'Include entries starting with .' }
+        },
+        args: [{ name: 'path', type: 'path', variadic: true, default: ['.'], description: 'Files or directories to list' }],
+        aliases: ['dir'],
+        examples: [
+            { command: 'ls', description: 'List the current directory' },
+            { command: 'ls -la ~', description: 'Long listing of the home directory, hidden files included' }
+        ],
+        execute: ({ options, args }, io) => {
+            const targets = args.path;
+            const lines = [];
+            let status = 0;
+            
+            targets.forEach((path, index) => {
+                const node = fs.getNode(path);
+                if (!node) {
+                    io.stderr.write(`ls: cannot access '${path}': No such file or directory`);
+                    status = 2;
+                    return;
+                }
+                
+                let entries = [{ node, name: path }];
+                if (node.type === 'dir') {
+                    try {
+                        entries = fs.readdir(path)
+                            .filter(child => options.all || !child.name.startsWith('.'))
+                            .map(child => ({ node: child, name: child.name }));
+                    } catch (error) {
+                        io.stderr.write(`ls: cannot open directory '${path}': ${error.message.split(': ').pop()}`);
+                        status = 2;
+                        return;
+                    }
+                    
+                    if (options.all) {
+                        entries.unshift(
+                            { node, name: '.' },
+                            { node: node.parent || node, name: '..' }
+                        );
+                    }
+                }
+                
+                if (targets.length > 1) {
+                    if (index > 0) lines.push('');
+                    lines.push(`${path}:`);
+                }
+                
+                // On screen names are coloured and clickable; pipes get plain names
+                const label = (entry) => {
+                    if (!io.stdout.isTTY) return formatEntryName(entry.node, entry.name);
+                    const entryPath = node.type === 'dir' ? `${path.replace(/\/+$/, '')}/${entry.name}` : path;
+                    return formatEntryLink(entry.node, entry.name, path === '.' ? entry.name : entryPath);
+                };
+                
+                if (options.long) {
+                    lines.push(`total ${entries.length}`);
+                    entries.forEach(entry => lines.push(formatLongEntry(terminal, entry.node, entry.name, label(entry))));
+                } else if (!io.stdout.isTTY) {
+                    // One name per line, like ls writing to a pipe
+                    entries.forEach(entry => lines.push(label(entry)));
+                } else if (entries.length) {
+                    lines.push(...formatColumns(entries.map(label), { width: io.columns }));
+                }
+            });
+            
+            io.stdout.write(lines);
+            return status;
+        }
+    });
+    
+    terminal.registerCommand('cd', {
+        description: 'Change the current directory',
+        args: [{
+            name: 'directory',
+            type: 'path',
+            default: '~',
+            description: 'Target directory, `-` for the previous one',
+            complete: (word, completer) => completer.completePath(word, { directoriesOnly: true })
+        }],
+        examples: [
+            { command: 'cd projects', description: 'Enter the projects section' },
+            { command: 'cd ..', description: 'Go up one level' }
+        ],
+        execute: ({ args }, io) => {
+            try {
+                fs.chdir(args.directory);
+                terminal.updatePrompt();
+            } catch (error) {
+                io.stderr.write(`cd: ${error.message}`);
+                return 1;
+            }
+        }
+    });
+    
+    terminal.registerCommand('pwd', {
+        description: 'Print the current directory',
+        execute: (input, io) => io.stdout.write(fs.getcwd())
+    });
+    
+    terminal.registerCommand('cat', {
+        description: 'Print the contents of files',
+        args: [{ name: 'file', type: 'path', variadic: true, description: 'Files to print, stdin when omitted' }],
+        examples: [{ command: 'cat README.md', description: 'Read the site README' }],
+        execute: ({ args }, io) => {
+            const inputs = terminal.readInputs('cat', args.file, io);
+            inputs.forEach(input => io.stdout.write(splitLines(input.text)));
+            return inputs.length === Math.max(args.file.length, 1) ? 0 : 1;
+        }
+    });
+    
+    terminal.registerCommand('tree', {
+        description: 'Show a directory as a tree',
+        flags: {
+            all: { alias: 'a', description: 'Include entries starting with .' }
+        },
+        args: [{ name: 'directory', type: 'path', default: '.', description: 'Root of the tree' }],
+        execute: ({ options, args }, io) => {
+            const root = args.directory;
+            const node = fs.getNode(root);
+            
+            if (!node || node.type !== 'dir') {
+                io.stderr.write(`tree: ${root}: ${node ? 'Not a directory' : 'No such file or directory'}`);
+                return 1;
+            }
+            
+            const lines = [root];
+            const counts = { dirs: 0, files: 0 };
+            
+            const render = (dirNode, prefix) => {
+                const children = Array.from(dirNode.children.values())
+                    .filter(child => options.all || !child.name.startsWith('.'))
+                    .sort((a, b) => a.name.localeCompare(b.name));
+                    
+                children.forEach((child, index) => {
+                    const isLast = index === children.length - 1;
+                    lines.push(`${prefix}${isLast ? '└── ' : '├── '}${child.name}`);
+                    
+                    if (child.type === 'dir') {
+                        counts.dirs++;
+                        if (fs.canRead(child)) {
+                            render(child, `${prefix}${isLast ? '    ' : '│   '}`);
+                        }
+                    } else {
+                        counts.files++;
+                    }
+                });
+            };
+            
+            render(node, '');
+            lines.push('', `${counts.dirs} directories, ${counts.files} files`);
+            io.stdout.write(lines);
+        }
+    });
+    
+    terminal.registerCommand('find', {
+        description: 'Search for files in a directory hierarchy',
+        flags: {
+            name: { type: 'string', valueName: 'glob', description: 'Only names matching the glob (*, ?)' },
+            type: { type: 'string', choices: ['f', 'd'], description: 'Only files (f) or directories (d)' }
+        },
+        args: [{ name: 'path', type: 'path', variadic: true, default: ['.'], description: 'Where to start searching' }],
+        examples: [
+            { command: 'find . -name "*.md"', description: 'Every Markdown file below the current directory' },
+            { command: 'find ~ -type d', description: 'Every directory in the home directory' }
+        ],
+        execute: ({ options, args }, io) => {
+            const nameRegex = options.name ? VirtualFileSystem.globToRegExp(options.name) : null;
+            let status = 0;
+            
+            args.path.forEach(start => {
+                try {
+                    const base = fs.resolve(start);
+                    fs.walk(start, (node, path) => {
+                        const matchesName = !nameRegex || nameRegex.test(node.name);
+                        const matchesType = !options.type || (options.type === 'd') === (node.type === 'dir');
+                        
+                        if (matchesName && matchesType) {
+                            io.stdout.write([start + path.slice(base === '/' ? 0 : base.length)]);
+                        }
+                    });
+                } catch (error) {
+                    io.stderr.write(`find: ${error.message}`);
+                    status = 1;
+                }
+            });
+            
+            return status;
+        }
+    });
+}
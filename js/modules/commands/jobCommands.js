@@ -0,0 +1,92 @@
+// Job Commands - jobs, fg, kill and sleep
+import { SIGNAL_STATUS } from '../JobTable.js';
+
+export function registerJobCommands(terminal) {
+    const { jobs } = terminal;
+    
+    const completeJobs = () => jobs.list().map(job => `%${job.id}`);
+    
+    terminal.registerCommand('jobs', {
+        description: 'List background jobs',
+        examples: [{ command: 'tour & jobs', description: 'Run the tour in the background and list it' }],
+        execute: (input, io) => {
+            const list = jobs.list();
+            const latest = list[list.length - 1];
+            
+            io.stdout.write(list.map(job => {
+                const marker = job === latest ? '+' : ' ';
+                return `[${job.id}]${marker}  ${'Running'.padEnd(12)} ${job.command} &`;
+            }));
+        }
+    });
+    
+    terminal.registerCommand('fg', {
+        description: 'Bring a background job to the foreground',
+        args: [{ name: 'job', description: 'Job to resume, like %1 (default: the most recent)', complete: completeJobs }],
+        manual: [
+            'Waits for the job with the prompt hidden, as if it had been started',
+            'without `&`. Ctrl+C then stops it.'
+        ],
+        execute: async ({ args }, io) => {
+            const job = jobs.get(args.job);
+            if (!job) {
+                io.stderr.write(`fg: ${args.job || 'current'}: no such job`);
+                return 1;
+            }
+            
+            io.stdout.write(job.command);
+            job.foreground = true;
+            
+            // Ctrl+C aborts `fg` itself; pass it on to the job
+            const forward = () => job.abort(io.signal.reason);
+            io.signal.addEventListener('abort', forward, { once: true });
+            
+            const status = await job.promise;
+            io.signal.removeEventListener('abort', forward);
+            return status;
+        }
+    });
+    
+    terminal.registerCommand('kill', {
+        description: 'Stop a background job',
+        flags: {
+            signal: {
+                alias: 's',
+                type: 'string',
+                choices: Object.keys(SIGNAL_STATUS),
+                default: 'SIGTERM',
+                description: 'Signal to send'
+            }
+        },
+        args: [{ name: 'job', required: true, variadic: true, description: 'Jobs to stop, like %1', complete: completeJobs }],
+        examples: [{ command: 'kill %1', description: 'Stop the first background job' }],
+        execute: ({ options, args }, io) => {
+            let status = 0;
+            
+            args.job.forEach(spec => {
+                const job = /^%?\d+$/.test(spec) ? jobs.get(spec) : null;
+                if (!job) {
+                    io.stderr.write(`kill: ${spec}: no such job`);
+                    status = 1;
+                    return;
+                }
+                job.abort(options.signal);
+            });
+            
+            return status;
+        }
+    });
+    
+    terminal.registerCommand('sleep', {
+        description: 'Wait for a number of seconds',
+        args: [{ name: 'seconds', type: 'number', required: true, description: 'How long to wait' }],
+        examples: [{ command: 'sleep 10 &', description: 'A background job to try jobs, fg and kill on' }],
+        execute: async ({ args }, io) => {
+            if (args.seconds < 0) {
+                io.stderr.write(`sleep: invalid time interval '${args.seconds}'`);
+                return 1;
+            }
+            await terminal.sleep(args.seconds * 1000, io.signal);
+        }
+    });
+}
@@ -0,0 +1,51 @@
+// Lang Commands - `lang` shows or switches the language of the site messages
+import { AUTO_LOCALE } from '../I18n.js';
+
+export function registerLangCommands(terminal, i18n) {
+    terminal.registerCommand('lang', {
+        description: 'Show or switch the language',
+        args: [{
+            name: 'code',
+            description: 'Language to use, e.g. de; `auto` follows the browser',
+            complete: () => i18n.codes().concat(AUTO_LOCALE)
+        }],
+        manual: [
+            'Switches the welcome text, hints, screen reader announcements and',
+            'dates (`ls -l`) to another language and remembers the choice in this',
+            'browser. By default (`auto`) the first of the browser languages that',
+            'is available is used. Commands, their help and the site content stay',
+            'in English.'
+        ],
+        examples: [
+            { command: 'lang', description: 'The current language and the available ones' },
+            { command: 'lang es', description: 'Switch to Spanish' },
+            { command: 'lang auto', description: 'Follow the browser languages again' }
+        ],
+        execute: ({ args }, io) => {
+            const { code } = args;
+            
+            if (code && code !== AUTO_LOCALE && !i18n.match(code)) {
+                io.stderr.write(i18n.t('lang.unknown', { code, codes: i18n.codes().join(', ') }));
+                return 1;
+            }
+            
+            if (code) {
+                i18n.set(code);
+                io.stdout.write(i18n.t('lang.set', { name: i18n.get(i18n.locale).name }));
+                return;
+            }
+            
+            const lines = [i18n.t('lang.current', { name: i18n.get(i18n.locale).name, code: i18n.locale })];
+            if (i18n.preference === AUTO_LOCALE) {
+                lines.push(i18n.t('lang.auto'));
+            }
+            lines.push('');
+            i18n.codes().forEach(localeCode => {
+                const marker = localeCode === i18n.locale ? '*' : ' ';
+                lines.push(`${marker} ${localeCode.padEnd(6)} ${i18n.get(localeCode).name}`);
+            });
+            lines.push(`${i18n.preference === AUTO_LOCALE ? '*' : ' '} ${AUTO_LOCALE.padEnd(6)} ${i18n.t('lang.autoLabel')}`);
+            io.stdout.write(lines);
+        }
+    });
+}
@@ -0,0 +1,82 @@
+// Resume Commands - `resume` previews and downloads the resume built from the site content
+import { RESUME_FORMATS, formatResume, resumeToText, printResume } from '../Resume.js';
+import { downloadFile } from '../Transcript.js';
+import { page } from '../Pager.js';
+import { bold, commandLink } from '../RichText.js';
+
+// `onShow` runs whenever the resume is opened, e.g. to focus the battery in the 3D scene
+export function registerResumeCommands(terminal, content, { onShow = () => {} } = {}) {
+    const basename = `${content.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-resume`;
+    
+    terminal.registerCommand('resume', {
+        description: 'Preview or download my resume',
+        flags: {
+            format: {
+                alias: 'f',
+                type: 'string',
+                choices: Object.keys(RESUME_FORMATS),
+                description: 'Download the resume in this format'
+            },
+            preview: { alias: 'p', description: 'Page through the resume in the terminal' }
+        },
+        manual: [
+            'The resume is generated in the browser from the same content as the',
+            'rest of the site; nothing is sent anywhere. --format pdf opens the',
+            'print dialog with a print-ready page (choose "Save as PDF"), html',
+            'downloads that page, md and txt download Markdown or plain text and',
+            'json downloads a JSON Resume (jsonresume.org) document.',
+            '',
+            'When the output goes into a pipe or a file every format but pdf is',
+            'written there instead of downloaded.'
+        ],
+        examples: [
+            { command: 'resume --preview', description: 'Read it here, Space for the next page' },
+            { command: 'resume -f pdf', description: 'Print it or save it as PDF' },
+            { command: 'resume -f md > ~/resume.md', description: 'Save the Markdown in the virtual file system' }
+        ],
+        execute: async ({ options }, io) => {
+            onShow();
+            const { format } = options;
+            
+            if (options.preview) {
+                const text = resumeToText(content, { width: io.columns });
+                await page(terminal, text.replace(/\n$/, '').split('\n'), io);
+                if (io.signal.aborted || !format) return;
+            }
+            
+            if (!format) {
+                // Piped output gets the whole resume, e.g. `resume | grep -i three`
+                if (!io.stdout.isTTY) {
+                    io.stdout.write(resumeToText(content));
+                    return;
+                }
+                io.stdout.write([
+                    '',
+                    bold(`📄 RESUME - ${content.name}, ${content.role}`),
+                    '',
+                    `  Read it:     ${commandLink('resume --preview')}`,
+                    `  Print / PDF: ${commandLink('resume --format pdf')}`,
+                    `  Download:    ${['md', 'txt', 'json', 'html'].map(type => commandLink(`resume -f ${type}`, type)).join(', ')}`,
+                    ''
+                ]);
+                return;
+            }
+            
+            if (format === 'pdf') {
+                await printResume(content);
+                io.stdout.write('Opened the print dialog. Choose "Save as PDF" to keep a copy.');
+                return;
+            }
+            
+            const resume = formatResume(content, format);
+            if (!io.stdout.isTTY) {
+                io.stdout.write(resume);
+                return;
+            }
+            
+            const filename = `${basename}.${RESUME_FORMATS[format].extension}`;
+            downloadFile(filename, resume, RESUME_FORMATS[format].type);
+            io.stdout.write(`Downloaded ${filename}`);
+        }
+    });
+}
@@ -0,0 +1,61 @@
+// Search Commands - `search` finds where a word is mentioned anywhere on the site
+import { buildContentIndex, snippet } from '../SearchIndex.js';
+import { bold, color, commandLink, dim, link } from '../RichText.js';
+
+const highlight = word => bold(color('yellow', word));
+
+// `partFor(command)` names the laptop part that shows a result, e.g. 'screen' for projects
+export function registerSearchCommands(terminal, content, { partFor = () => null } = {}) {
+    const index = buildContentIndex(content);
+    
+    terminal.registerCommand('search', {
+        description: 'Search the about, projects and contact content',
+        flags: {
+            limit: { alias: 'n', type: 'number', default: 10, description: 'Show at most this many results' }
+        },
+        args: [{ name: 'query', variadic: true, required: true, description: 'Words to look for' }],
+        manual: [
+            'Every word has to appear in a result. Words match their other forms',
+            '(project, projects) and the words they start (thr finds three.js);',
+            'exact matches and words in titles rank higher. Click a result to jump',
+            'to its section, or the part name to look at it in the 3D scene.',
+            '',
+            '`grep -r` searches the files of the virtual file system instead.'
+        ],
+        examples: [
+            { command: 'search three', description: 'Where Three.js comes up' },
+            { command: 'search -n 3 java', description: 'The three best matches for java...' }
+        ],
+        execute: ({ options, args }, io) => {
+            if (!Number.isInteger(options.limit) || options.limit < 1) {
+                io.stderr.write(`search: invalid number of results: '${options.limit}'`);
+                return 1;
+            }
+            
+            const query = args.query.join(' ');
+            const results = index.search(query, { limit: options.limit });
+            if (results.length === 0) {
+                io.stderr.write(`search: no results for "${query}"`);
+                return 1;
+            }
+            
+            const width = Math.max(io.columns - 4, 20);
+            io.stdout.write(results.flatMap(({ document, terms }) => {
+                const part = partFor(document.command);
+                const targets = [
+                    commandLink(document.command),
+                    ...(part ? [commandLink(`focus ${part}`, `${part} in 3D`)] : []),
+                    ...(document.url ? [link(document.url)] : [])
+                ];
+                const title = bold(snippet(document.title, terms, { width, mark: highlight }));
+                return [
+                    document.section === document.title ? title : `${title} ${dim(`- ${document.section}`)}`,
+                    `  ${snippet(document.text, terms, { width, mark: highlight })}`,
+                    `  ${dim('→')} ${targets.join(dim(' · '))}`,
+                    ''
+                ];
+            }));
+            io.stdout.write(dim(terminal.i18n.t('search.results', { count: results.length, query })));
+        }
+    });
+}
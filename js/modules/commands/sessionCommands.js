@@ -0,0 +1,164 @@
+// Session Commands - `record` and `replay` asciicast recordings of the terminal, `transcript export` its output
+import { SessionRecorder, CLEAR_SCREEN } from '../SessionRecorder.js';
+import { TRANSCRIPT_FORMATS, formatTranscript, downloadFile } from '../Transcript.js';
+import { dim } from '../RichText.js';
+
+const DEFAULT_RECORDING = '~/session.cast';
+
+export function registerSessionCommands(terminal) {
+    const { fs, recorder } = terminal;
+    // File the running recording is saved to
+    let recordingFile = null;
+    
+    terminal.registerCommand('record', {
+        description: 'Record the terminal session (asciicast v2)',
+        flags: {
+            title: { alias: 't', type: 'string', description: 'Title stored in the recording' },
+            download: { alias: 'd', description: 'Also download the recording when it stops' }
+        },
+        args: [
+            { name: 'action', required: true, choices: ['start', 'stop', 'status'], description: 'What to do' },
+            { name: 'file', type: 'path', default: DEFAULT_RECORDING, description: 'Where `start` saves the recording' }
+        ],
+        manual: [
+            'Everything typed and printed between `record start` and `record stop`',
+            'is saved with its timing in the asciicast v2 format, so the file plays',
+            'with `replay` here and with asciinema (asciinema play, or the web',
+            'player) anywhere else.'
+        ],
+        examples: [
+            { command: 'record start -t "Site tour"', description: `Start recording into ${DEFAULT_RECORDING}` },
+            { command: 'record stop --download', description: 'Save the recording and download it' }
+        ],
+        execute: ({ options, args }, io) => {
+            if (args.action === 'status') {
+                io.stdout.write(recorder.isRecording
+                    ? `Recording to ${recordingFile} (${recorder.duration.toFixed(1)}s, ${recorder.events.length} events)`
+                    : 'Not recording');
+                return;
+            }
+            
+            if (args.action === 'start') {
+                if (recorder.isRecording) {
+                    io.stderr.write(`record: already recording to ${recordingFile}`);
+                    return 1;
+                }
+                recordingFile = args.file;
+                recorder.start({ title: options.title });
+                io.stdout.write(`Recording to ${recordingFile}. Run \`record stop\` to save it.`);
+                return;
+            }
+            
+            if (!recorder.isRecording) {
+                io.stderr.write('record: not recording');
+                return 1;
+            }
+            
+            const duration = recorder.duration;
+            const cast = recorder.stop();
+            try {
+                fs.writeFile(recordingFile, cast);
+            } catch (error) {
+                io.stderr.write(`record: ${error.message}`);
+                return 1;
+            }
+            
+            if (options.download) {
+                downloadFile(fs.basename(fs.resolve(recordingFile)), cast, 'application/x-asciicast');
+            }
+            io.stdout.write(`Saved ${duration.toFixed(1)}s to ${recordingFile}. Play it with \`replay ${recordingFile}\`.`);
+        }
+    });
+    
+    terminal.registerCommand('replay', {
+        description: 'Play back an asciicast recording',
+        flags: {
+            speed: { alias: 's', type: 'number', default: 1, description: 'Playback speed factor' },
+            'idle-limit': { alias: 'i', type: 'number', default: 2, description: 'Longest pause in seconds' }
+        },
+        args: [{ name: 'file', type: 'path', default: DEFAULT_RECORDING, description: 'Recording to play' }],
+        manual: [
+            'Plays the output of a recording in the terminal with its original',
+            'timing. Long pauses are shortened to the idle limit. Press Ctrl+C',
+            'to stop.'
+        ],
+        examples: [{ command: 'replay -s 2', description: `Play ${DEFAULT_RECORDING} twice as fast` }],
+        execute: async ({ options, args }, io) => {
+            let recording;
+            try {
+                recording = SessionRecorder.parse(fs.readFile(args.file));
+            } catch (error) {
+                io.stderr.write(`replay: ${error.message}`);
+                return 1;
+            }
+            
+            const { header, events } = recording;
+            const speed = options.speed > 0 ? options.speed : 1;
+            const duration = events.length ? events[events.length - 1][0] : 0;
+            
+            if (io.stdout.isTTY) {
+                io.stdout.write(dim(`▶ ${header.title || args.file} (${duration.toFixed(1)}s) - Ctrl+C to stop`));
+            }
+            
+            // A carriage return redraws the line, keep what was drawn last
+            const writeLine = (line) => io.stdout.write(line.split('\r').filter(Boolean).pop() || '');
+            
+            // Output arrives in chunks; only complete lines are printed
+            let pending = '';
+            
+            let previousTime = 0;
+            for (const [time, code, data] of events) {
+                if (code !== 'o') continue;
+                
+                const pause = Math.min(Math.max(time - previousTime, 0), options['idle-limit']) / speed;
+                previousTime = time;
+                await terminal.sleep(pause * 1000, io.signal);
+                if (io.signal.aborted) return;
+                
+                // Whatever came before a clear is gone anyway
+                let chunk = pending + data;
+                const clearAt = chunk.lastIndexOf(CLEAR_SCREEN);
+                if (clearAt !== -1) {
+                    if (io.stdout.isTTY) terminal.clear();
+                    chunk = chunk.slice(clearAt + CLEAR_SCREEN.length);
+                }
+                
+                const lines = chunk.split('\n');
+                pending = lines.pop();
+                lines.forEach(writeLine);
+            }
+            
+            if (pending) {
+                writeLine(pending);
+            }
+        }
+    });    
+    terminal.registerCommand('transcript', {
+        description: 'Download everything shown in the terminal',
+        flags: {
+            format: {
+                alias: 'f',
+                type: 'string',
+                default: 'txt',
+                choices: Object.keys(TRANSCRIPT_FORMATS),
+                description: 'File format'
+            }
+        },
+        args: [{ name: 'action', required: true, choices: ['export'], description: 'What to do' }],
+        manual: [
+            'Downloads the terminal output as plain text (txt), a Markdown code',
+            'block (md) or a standalone page with the colours of the current',
+            'theme (html). Lines past the scrollback limit are no longer there.'
+        ],
+        examples: [
+            { command: 'transcript export', description: 'Download the transcript as plain text' },
+            { command: 'transcript export -f md', description: 'Download it as Markdown' }
+        ],
+        execute: ({ options }, io) => {
+            const filename = `terminal-transcript.${options.format}`;
+            const content = formatTranscript(terminal.scrollback.lines, options.format, { title: document.title });
+            downloadFile(filename, content, TRANSCRIPT_FORMATS[options.format]);
+            io.stdout.write(`Downloaded ${filename}`);
+        }
+    });
+}
@@ -0,0 +1,183 @@
+// Text Commands - Small filters (echo, grep, head, tail, wc, sort) for pipelines
+import { splitLines } from '../OutputStream.js';
+import { bold, color, commandLink } from '../RichText.js';
+
+export function registerTextCommands(terminal) {
+    const { fs } = terminal;
+    
+    // Every readable file below `paths`, named the way `find` prints them
+    const readTree = (command, paths, io) => {
+        const inputs = [];
+        paths.forEach(start => {
+            try {
+                const base = fs.resolve(start);
+                fs.walk(start, (node, path) => {
+                    if (node.type !== 'file') return;
+                    const name = start + path.slice(base === '/' ? 0 : base.length);
+                    if (fs.canRead(node)) {
+                        inputs.push({ name, text: node.content });
+                    } else {
+                        io.stderr.write(`${command}: ${name}: Permission denied`);
+                    }
+                });
+            } catch (error) {
+                io.stderr.write(`${command}: ${error.message}`);
+            }
+        });
+        return inputs;
+    };
+    
+    terminal.registerCommand('echo', {
+        description: 'Print arguments',
+        // Like bash, echo prints dashes literally instead of treating them as options
+        parseArgs: false,
+        args: [{ name: 'text', variadic: true, description: 'Words to print' }],
+        examples: [{ command: 'echo "hello world" > greeting.txt', description: 'Write a file' }],
+        execute: ({ args }, io) => io.stdout.write(args.text.join(' '))
+    });
+    
+    terminal.registerCommand('grep', {
+        description: 'Print lines matching a pattern',
+        flags: {
+            'ignore-case': { alias: 'i', description: 'Ignore case distinctions' },
+            'invert-match': { alias: 'v', description: 'Select non-matching lines' },
+            'line-number': { alias: 'n', description: 'Prefix each line with its line number' },
+            count: { alias: 'c', description: 'Only print a count of matching lines' },
+            recursive: { alias: 'r', description: 'Search every file below the given directories (default .)' }
+        },
+        args: [
+            { name: 'pattern', required: true, description: 'Regular expression to look for' },
+            { name: 'file', type: 'path', variadic: true, description: 'Files to search, stdin when omitted' }
+        ],
+        manual: [
+            'Matches are highlighted, and with more than one file each line starts',
+            'with the file name; click it to `cat` the file. `search` finds words',
+            'in the site content by meaning rather than by pattern.'
+        ],
+        examples: [
+            { command: 'projects | grep -i three', description: 'Filter the project list' },
+            { command: 'grep -n Abhay README.md', description: 'Show matching lines with numbers' },
+            { command: 'grep -ri javascript ~', description: 'Every file that mentions JavaScript' }
+        ],
+        execute: ({ options, args }, io) => {
+            let regex;
+            let matches;
+            try {
+                regex = new RegExp(args.pattern, options['ignore-case'] ? 'i' : '');
+                matches = new RegExp(args.pattern, options['ignore-case'] ? 'gi' : 'g');
+            } catch (error) {
+                io.stderr.write(`grep: invalid pattern '${args.pattern}'`);
+                return 2;
+            }
+            
+            const inputs = options.recursive
+                ? readTree('grep', args.file.length ? args.file : ['.'], io)
+                : terminal.readInputs('grep', args.file, io);
+            const showNames = options.recursive || inputs.length > 1;
+            let matchCount = 0;
+            
+            inputs.forEach(input => {
+                const name = /\s/.test(input.name) ? `'${input.name}'` : input.name;
+                const prefix = showNames ? `${commandLink(`cat ${name}`, color('magenta', input.name))}:` : '';
+                let count = 0;
+                
+                splitLines(input.text).forEach((line, index) => {
+                    if (regex.test(line) === options['invert-match']) return;
+                    count++;
+                    if (!options.count) {
+                        const text = options['invert-match'] ? line : line.replace(matches, match => (match ? bold(color('red', match)) : match));
+                        io.stdout.write([`${prefix}${options['line-number'] ? `${index + 1}:` : ''}${text}`]);
+                    }
+                });
+                
+                if (options.count) {
+                    io.stdout.write([`${prefix}${count}`]);
+                }
+                matchCount += count;
+            });
+            
+            return matchCount > 0 ? 0 : 1;
+        }
+    });
+    
+    const sliceSpec = (command, description, pick) => ({
+        description,
+        flags: {
+            lines: { alias: 'n', type: 'number', default: 10, description: 'Number of lines to print' }
+        },
+        args: [{ name: 'file', type: 'path', variadic: true, description: 'Files to read, stdin when omitted' }],
+        examples: [{ command: `ls | ${command} -n 3`, description: 'Keep three lines' }],
+        execute: ({ options, args }, io) => {
+            if (!Number.isInteger(options.lines) || options.lines < 0) {
+                io.stderr.write(`${command}: invalid number of lines: '${options.lines}'`);
+                return 1;
+            }
+            
+            const inputs = terminal.readInputs(command, args.file, io);
+            inputs.forEach((input, index) => {
+                if (inputs.length > 1) {
+                    io.stdout.write(index > 0 ? ['', `==> ${input.name} <==`] : [`==> ${input.name} <==`]);
+                }
+                io.stdout.write(pick(splitLines(input.text), options.lines));
+            });
+        }
+    });
+    
+    terminal.registerCommand('head', sliceSpec('head', 'Print the first lines of input',
+        (lines, count) => lines.slice(0, count)));
+        
+    terminal.registerCommand('tail', sliceSpec('tail', 'Print the last lines of input',
+        (lines, count) => lines.slice(Math.max(lines.length - count, 0))));
+        
+    terminal.registerCommand('wc', {
+        description: 'Count lines, words and bytes',
+        flags: {
+            lines: { alias: 'l', description: 'Print the line count' },
+            words: { alias: 'w', description: 'Print the word count' },
+            bytes: { alias: 'c', description: 'Print the byte count' }
+        },
+        args: [{ name: 'file', type: 'path', variadic: true, description: 'Files to count, stdin when omitted' }],
+        examples: [{ command: 'find ~ -type f | wc -l', description: 'Count the files in the home directory' }],
+        execute: ({ options, args }, io) => {
+            const showAll = !options.lines && !options.words && !options.bytes;
+            
+            terminal.readInputs('wc', args.file, io).forEach(input => {
+                const columns = [];
+                if (showAll || options.lines) columns.push((input.text.match(/\n/g) || []).length);
+                if (showAll || options.words) columns.push(input.text.split(/\s+/).filter(Boolean).length);
+                if (showAll || options.bytes) columns.push(new Blob([input.text]).size);
+                
+                const name = input.name === '-' ? '' : ` ${input.name}`;
+                io.stdout.write([`${columns.map(column => String(column).padStart(7)).join(' ')}${name}`]);
+            });
+        }
+    });
+    
+    terminal.registerCommand('sort', {
+        description: 'Sort lines of input',
+        flags: {
+            reverse: { alias: 'r', description: 'Reverse the result' },
+            numeric: { alias: 'n', description: 'Compare by numeric value' },
+            unique: { alias: 'u', description: 'Drop repeated lines' }
+        },
+        args: [{ name: 'file', type: 'path', variadic: true, description: 'Files to sort, stdin when omitted' }],
+        examples: [{ command: 'cat notes.txt | sort -u', description: 'Sorted, without duplicates' }],
+        execute: ({ options, args }, io) => {
+            let lines = terminal.readInputs('sort', args.file, io)
+                .flatMap(input => splitLines(input.text));
+                
+            lines.sort(options.numeric
+                ? (a, b) => parseFloat(a) - parseFloat(b)
+                : (a, b) => a.localeCompare(b));
+                
+            if (options.unique) {
+                lines = lines.filter((line, index) => index === 0 || line !== lines[index - 1]);
+            }
+            if (options.reverse) {
+                lines.reverse();
+            }
+            
+            io.stdout.write(lines);
+        }
+    });
+}
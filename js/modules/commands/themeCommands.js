@@ -0,0 +1,90 @@
+// Theme Commands - `theme list`, `theme set` and `theme preview`
+import { AUTO_THEME } from '../ThemeManager.js';
+
+export function registerThemeCommands(terminal, themes) {
+    const describePreference = () => (themes.preference === AUTO_THEME
+        ? `${themes.current} (auto, following the system settings)`
+        : themes.current);
+    
+    terminal.registerCommand('theme', {
+        description: 'List, switch or preview colour themes',
+        flags: {
+            duration: { alias: 'd', type: 'number', default: 3, description: 'Seconds each preview lasts' }
+        },
+        args: [
+            { name: 'action', choices: ['list', 'set', 'preview'], description: 'What to do, shows the current theme when omitted' },
+            {
+                name: 'name',
+                description: 'Theme to set or preview, `auto` follows the system',
+                complete: () => themes.names().concat(AUTO_THEME)
+            }
+        ],
+        manual: [
+            'Themes recolour the page, the terminal and the 3D scene. The choice is',
+            'remembered in this browser. By default (`auto`) the light theme is used',
+            'when the system prefers a light colour scheme, high-contrast when it',
+            'asks for more contrast, and matrix otherwise.'
+        ],
+        examples: [
+            { command: 'theme list', description: 'Every installed theme' },
+            { command: 'theme set amber', description: 'Switch to amber and keep it' },
+            { command: 'theme preview -d 5', description: 'Show every theme for five seconds' }
+        ],
+        execute: async ({ options, args }, io) => {
+            const { action, name } = args;
+            
+            if (!action) {
+                io.stdout.write(`Current theme: ${describePreference()}`);
+                return;
+            }
+            
+            if (name && name !== AUTO_THEME && !themes.get(name)) {
+                io.stderr.write(`theme: unknown theme '${name}' (see \`theme list\`)`);
+                return 1;
+            }
+            
+            if (action === 'list') {
+                const lines = themes.names().map(themeName => {
+                    const marker = themeName === themes.current ? '*' : ' ';
+                    return `${marker} ${themeName.padEnd(14)} ${themes.get(themeName).label}`;
+                });
+                lines.push(`${themes.preference === AUTO_THEME ? '*' : ' '} ${AUTO_THEME.padEnd(14)} Follow the system colour scheme`);
+                io.stdout.write(lines);
+                return;
+            }
+            
+            if (action === 'set') {
+                if (!name) {
+                    io.stderr.write('theme: set needs a theme name');
+                    return 2;
+                }
+                themes.set(name);
+                io.stdout.write(`Theme set to ${describePreference()}`);
+                return;
+            }
+            
+            // preview
+            if (name === AUTO_THEME) {
+                io.stderr.write('theme: only installed themes can be previewed');
+                return 1;
+            }
+            
+            // Ctrl+C puts the saved theme back straight away
+            const stopPreview = () => {
+                themes.cancelPreview();
+                themes.apply(themes.resolve(themes.preference));
+            };
+            io.signal.addEventListener('abort', stopPreview, { once: true });
+            
+            const duration = Math.max(options.duration, 0.5) * 1000;
+            for (const themeName of name ? [name] : themes.names()) {
+                if (io.signal.aborted) break;
+                io.stdout.write(`Previewing ${themeName}...`);
+                await themes.preview(themeName, duration);
+            }
+            
+            io.signal.removeEventListener('abort', stopPreview);
+            io.stdout.write(`Back to ${describePreference()}`);
+        }
+    });
+}
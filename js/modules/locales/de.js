@@ -0,0 +1,94 @@
+// German messages
+export default {
+    name: 'Deutsch',
+    messages: {
+        'welcome.greeting': 'Willkommen in meinem interaktiven 3D-Portfolio!',
+        'welcome.commands': 'Verfügbare Befehle:',
+        'welcome.help': 'Alle Befehle anzeigen',
+        'welcome.tour': 'Interaktive 3D-Tour starten',
+        'welcome.about': 'Mehr über mich',
+        'welcome.projects': 'Meine Arbeiten ansehen',
+        'welcome.contact': 'Kontakt aufnehmen',
+        'welcome.resume': 'Lebenslauf herunterladen',
+        'welcome.tip': 'TIPP: Scrolle, um den Laptop zu zerlegen, oder klicke auf die 3D-Teile!',
+        
+        'terminal.hint.help': 'Gib "help" ein, um alle Befehle zu sehen',
+        'terminal.hint.start': 'Gib "help" ein, um deine Reise zu beginnen',
+        'terminal.restore': 'Drücke eine beliebige Taste, um das Terminal wiederherzustellen',
+        'terminal.paste.tooManyLines': {
+            one: 'Nur die erste von {total} eingefügten Zeilen wird übernommen.',
+            other: 'Nur die ersten {count} von {total} eingefügten Zeilen werden übernommen.'
+        },
+        'terminal.paste.tooLong': {
+            one: 'Der eingefügte Text ist länger als {max} Zeichen; nur die erste Zeile wird übernommen.',
+            other: 'Der eingefügte Text ist länger als {max} Zeichen; nur die ersten {count} Zeilen werden übernommen.'
+        },
+        'terminal.paste.more': '... und {count} weitere',
+        'terminal.paste.confirm': {
+            one: '{count} eingefügte Zeile ausführen?',
+            other: '{count} eingefügte Zeilen ausführen?'
+        },
+        'terminal.paste.discarded': 'Eingefügter Text verworfen.',
+        
+        'scroll.phase.idle': 'Scrolle nach unten, um die Reise zu beginnen...',
+        'scroll.phase.opening': 'Der Laptop öffnet sich...',
+        'scroll.phase.disassembling': 'Die Teile lösen sich... Klicke sie an, um sie zu erkunden!',
+        'scroll.phase.complete': 'Zerlegung abgeschlossen! Navigiere mit Terminal-Befehlen weiter.',
+        'scroll.hint.idle': 'Scrolle nach unten, um deine Reise zu beginnen',
+        'scroll.hint.opening': 'Der Laptop öffnet sich...',
+        'scroll.hint.disassembling': 'Klicke auf die Teile oder scrolle weiter',
+        'scroll.hint.complete': 'Bereit zum Erkunden!',
+        'scroll.navigation.title': '🎯 NAVIGATION',
+        'scroll.navigation.parts': '• Klicke auf die Teile des Laptops, um die Bereiche zu erkunden',
+        'scroll.navigation.commands': '• Gib Befehle im Terminal ein',
+        'scroll.navigation.keys': '• Navigiere mit den Pfeiltasten',
+        
+        'title.idle': '{name} - Interaktives Portfolio',
+        'title.opening': 'Laptop öffnet sich... - {name}',
+        'title.exploring': 'Bauteile erkunden... - {name}',
+        'title.ready': 'Bereit zur Navigation - {name}',
+        
+        'mobile.swipeUp': 'Nach oben gewischt - Nächster Abschnitt',
+        'mobile.swipeDown': 'Nach unten gewischt - Vorheriger Abschnitt',
+        'mobile.scrollForward': 'Scrolle vorwärts...',
+        'mobile.scrollBackward': 'Scrolle rückwärts...',
+        
+        'a11y.tourExited': 'Tour-Modus beendet',
+        'a11y.terminalMinimized': 'Terminal minimiert',
+        'a11y.moveForward': 'Bewegung nach vorne in der Szene',
+        'a11y.moveBackward': 'Bewegung nach hinten in der Szene',
+        'a11y.moveLeft': 'Bewegung nach links in der Szene',
+        'a11y.moveRight': 'Bewegung nach rechts in der Szene',
+        'a11y.progress': 'Portfolio zu {percent} % erkundet',
+        'a11y.reducedMotion': 'Animationen wurden gemäß deinen Systemeinstellungen reduziert',
+        'a11y.skipped': 'Zum Hauptinhalt gesprungen',
+        'a11y.button': '{label}, Schaltfläche',
+        'a11y.link': '{label}, Link',
+        'a11y.language': 'Sprache auf {name} umgestellt',
+        'a11y.section': 'Abschnitt {section} wird angezeigt',
+        'a11y.theme': 'Farbschema auf {name} umgestellt',
+        'a11y.focus': 'Fokus auf {part}',
+        
+        'tour.start': '🎬 Die Tour beginnt... Strg+C oder Escape beendet sie',
+        'tour.lid': 'Der Deckel öffnet sich...',
+        'tour.keyboard': 'Tastatur - wer ich bin (gib "about" ein)',
+        'tour.screen': 'Bildschirm - was ich gebaut habe (gib "projects" ein)',
+        'tour.ports': 'Anschlüsse - wie du mich erreichst (gib "contact" ein)',
+        'tour.battery': 'Akku - meine Erfahrung (gib "resume" ein)',
+        'tour.end': 'Tour beendet. Gib "help" ein, um weiter zu erkunden.',
+        'tour.started': 'Tour gestartet',
+        'tour.finished': 'Tour beendet',
+        'tour.stopped': 'Tour abgebrochen',
+        
+        'search.results': {
+            one: '{count} Treffer für "{query}"',
+            other: '{count} Treffer für "{query}"'
+        },
+        
+        'lang.current': 'Sprache: {name} ({code})',
+        'lang.auto': 'Aus den Sprachen deines Browsers gewählt; `lang <code>` ändert sie.',
+        'lang.autoLabel': 'Den Sprachen des Browsers folgen',
+        'lang.set': 'Sprache auf {name} gestellt',
+        'lang.unknown': 'lang: unbekannte Sprache \'{code}\' (verfügbar: {codes})'
+    }
+};
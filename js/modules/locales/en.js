@@ -0,0 +1,94 @@
+// English messages; every other language falls back to these
+export default {
+    name: 'English',
+    messages: {
+        'welcome.greeting': 'Welcome to my interactive 3D portfolio!',
+        'welcome.commands': 'Available commands:',
+        'welcome.help': 'Show all commands',
+        'welcome.tour': 'Start 3D interactive tour',
+        'welcome.about': 'Learn about me',
+        'welcome.projects': 'View my work',
+        'welcome.contact': 'Get in touch',
+        'welcome.resume': 'Download resume',
+        'welcome.tip': 'TIP: Scroll to disassemble the laptop or click on 3D parts!',
+        
+        'terminal.hint.help': 'Type "help" to see every command',
+        'terminal.hint.start': 'Type "help" to begin your journey',
+        'terminal.restore': 'Press any key to restore terminal',
+        'terminal.paste.tooManyLines': {
+            one: 'Only the first {count} of {total} pasted lines is kept.',
+            other: 'Only the first {count} of {total} pasted lines are kept.'
+        },
+        'terminal.paste.tooLong': {
+            one: 'The paste is longer than {max} characters; only the first line is kept.',
+            other: 'The paste is longer than {max} characters; only the first {count} lines are kept.'
+        },
+        'terminal.paste.more': '... and {count} more',
+        'terminal.paste.confirm': {
+            one: 'Run {count} pasted line?',
+            other: 'Run {count} pasted lines?'
+        },
+        'terminal.paste.discarded': 'Paste discarded.',
+        
+        'scroll.phase.idle': 'Scroll down to begin the journey...',
+        'scroll.phase.opening': 'Laptop is opening...',
+        'scroll.phase.disassembling': 'Parts are disassembling... Click on them to explore!',
+        'scroll.phase.complete': 'Disassembly complete! Use terminal commands to navigate.',
+        'scroll.hint.idle': 'Scroll down to begin your journey',
+        'scroll.hint.opening': 'The laptop is opening...',
+        'scroll.hint.disassembling': 'Click on parts or continue scrolling',
+        'scroll.hint.complete': 'Ready for exploration!',
+        'scroll.navigation.title': '🎯 NAVIGATION OPTIONS',
+        'scroll.navigation.parts': '• Click on laptop parts to explore sections',
+        'scroll.navigation.commands': '• Type commands in the terminal',
+        'scroll.navigation.keys': '• Use keyboard arrows to navigate',
+        
+        'title.idle': '{name} - Interactive Portfolio',
+        'title.opening': 'Opening Laptop... - {name}',
+        'title.exploring': 'Exploring Components... - {name}',
+        'title.ready': 'Ready to Navigate - {name}',
+        
+        'mobile.swipeUp': 'Swiped up - Next section',
+        'mobile.swipeDown': 'Swiped down - Previous section',
+        'mobile.scrollForward': 'Scrolling forward...',
+        'mobile.scrollBackward': 'Scrolling backward...',
+        
+        'a11y.tourExited': 'Exited tour mode',
+        'a11y.terminalMinimized': 'Terminal minimized',
+        'a11y.moveForward': 'Moving forward in scene',
+        'a11y.moveBackward': 'Moving backward in scene',
+        'a11y.moveLeft': 'Moving left in scene',
+        'a11y.moveRight': 'Moving right in scene',
+        'a11y.progress': 'Portfolio exploration {percent}% complete',
+        'a11y.reducedMotion': 'Animations have been reduced based on your system preferences',
+        'a11y.skipped': 'Skipped to main content',
+        'a11y.button': '{label}, button',
+        'a11y.link': '{label}, link',
+        'a11y.language': 'Language changed to {name}',
+        'a11y.section': 'Showing {section} section',
+        'a11y.theme': 'Theme changed to {name}',
+        'a11y.focus': 'Focused on {part}',
+        
+        'tour.start': '🎬 Starting tour... press Ctrl+C or Escape to leave it',
+        'tour.lid': 'The lid opens...',
+        'tour.keyboard': 'Keyboard - who I am (type "about")',
+        'tour.screen': 'Screen - what I have built (type "projects")',
+        'tour.ports': 'Ports - how to reach me (type "contact")',
+        'tour.battery': 'Battery - my experience (type "resume")',
+        'tour.end': 'Tour finished. Type "help" to keep exploring.',
+        'tour.started': 'Tour started',
+        'tour.finished': 'Tour finished',
+        'tour.stopped': 'Tour stopped',
+        
+        'search.results': {
+            one: '{count} result for "{query}"',
+            other: '{count} results for "{query}"'
+        },
+        
+        'lang.current': 'Language: {name} ({code})',
+        'lang.auto': 'Chosen from your browser languages; `lang <code>` changes it.',
+        'lang.autoLabel': 'Follow the browser languages',
+        'lang.set': 'Language set to {name}',
+        'lang.unknown': 'lang: unknown language \'{code}\' (available: {codes})'
+    }
+};
@@ -0,0 +1,94 @@
+// Spanish messages
+export default {
+    name: 'Español',
+    messages: {
+        'welcome.greeting': '¡Bienvenido a mi portafolio 3D interactivo!',
+        'welcome.commands': 'Comandos disponibles:',
+        'welcome.help': 'Mostrar todos los comandos',
+        'welcome.tour': 'Iniciar el recorrido 3D interactivo',
+        'welcome.about': 'Conóceme',
+        'welcome.projects': 'Ver mi trabajo',
+        'welcome.contact': 'Ponte en contacto',
+        'welcome.resume': 'Descargar el currículum',
+        'welcome.tip': 'CONSEJO: ¡Desplázate para desmontar el portátil o haz clic en las piezas 3D!',
+        
+        'terminal.hint.help': 'Escribe "help" para ver todos los comandos',
+        'terminal.hint.start': 'Escribe "help" para comenzar tu viaje',
+        'terminal.restore': 'Pulsa cualquier tecla para restaurar el terminal',
+        'terminal.paste.tooManyLines': {
+            one: 'Solo se conserva la primera de las {total} líneas pegadas.',
+            other: 'Solo se conservan las primeras {count} de las {total} líneas pegadas.'
+        },
+        'terminal.paste.tooLong': {
+            one: 'El texto pegado supera los {max} caracteres; solo se conserva la primera línea.',
+            other: 'El texto pegado supera los {max} caracteres; solo se conservan las primeras {count} líneas.'
+        },
+        'terminal.paste.more': '... y {count} más',
+        'terminal.paste.confirm': {
+            one: '¿Ejecutar {count} línea pegada?',
+            other: '¿Ejecutar {count} líneas pegadas?'
+        },
+        'terminal.paste.discarded': 'Texto pegado descartado.',
+        
+        'scroll.phase.idle': 'Desplázate hacia abajo para comenzar el viaje...',
+        'scroll.phase.opening': 'El portátil se está abriendo...',
+        'scroll.phase.disassembling': 'Las piezas se están desmontando... ¡Haz clic en ellas para explorarlas!',
+        'scroll.phase.complete': '¡Desmontaje completo! Usa los comandos del terminal para navegar.',
+        'scroll.hint.idle': 'Desplázate hacia abajo para comenzar tu viaje',
+        'scroll.hint.opening': 'El portátil se está abriendo...',
+        'scroll.hint.disassembling': 'Haz clic en las piezas o sigue desplazándote',
+        'scroll.hint.complete': '¡Listo para explorar!',
+        'scroll.navigation.title': '🎯 OPCIONES DE NAVEGACIÓN',
+        'scroll.navigation.parts': '• Haz clic en las piezas del portátil para explorar las secciones',
+        'scroll.navigation.commands': '• Escribe comandos en el terminal',
+        'scroll.navigation.keys': '• Usa las flechas del teclado para navegar',
+        
+        'title.idle': '{name} - Portafolio interactivo',
+        'title.opening': 'Abriendo el portátil... - {name}',
+        'title.exploring': 'Explorando los componentes... - {name}',
+        'title.ready': 'Listo para navegar - {name}',
+        
+        'mobile.swipeUp': 'Deslizado hacia arriba - Sección siguiente',
+        'mobile.swipeDown': 'Deslizado hacia abajo - Sección anterior',
+        'mobile.scrollForward': 'Avanzando...',
+        'mobile.scrollBackward': 'Retrocediendo...',
+        
+        'a11y.tourExited': 'Has salido del modo recorrido',
+        'a11y.terminalMinimized': 'Terminal minimizado',
+        'a11y.moveForward': 'Avanzando en la escena',
+        'a11y.moveBackward': 'Retrocediendo en la escena',
+        'a11y.moveLeft': 'Moviéndose a la izquierda en la escena',
+        'a11y.moveRight': 'Moviéndose a la derecha en la escena',
+        'a11y.progress': 'Exploración del portafolio completada al {percent} %',
+        'a11y.reducedMotion': 'Las animaciones se han reducido según las preferencias de tu sistema',
+        'a11y.skipped': 'Saltado al contenido principal',
+        'a11y.button': '{label}, botón',
+        'a11y.link': '{label}, enlace',
+        'a11y.language': 'Idioma cambiado a {name}',
+        'a11y.section': 'Mostrando la sección {section}',
+        'a11y.theme': 'Tema cambiado a {name}',
+        'a11y.focus': 'Enfoque en {part}',
+        
+        'tour.start': '🎬 Iniciando el recorrido... pulsa Ctrl+C o Escape para salir',
+        'tour.lid': 'La tapa se abre...',
+        'tour.keyboard': 'Teclado - quién soy (escribe "about")',
+        'tour.screen': 'Pantalla - lo que he construido (escribe "projects")',
+        'tour.ports': 'Puertos - cómo contactarme (escribe "contact")',
+        'tour.battery': 'Batería - mi experiencia (escribe "resume")',
+        'tour.end': 'Recorrido terminado. Escribe "help" para seguir explorando.',
+        'tour.started': 'Recorrido iniciado',
+        'tour.finished': 'Recorrido terminado',
+        'tour.stopped': 'Recorrido detenido',
+        
+        'search.results': {
+            one: '{count} resultado para "{query}"',
+            other: '{count} resultados para "{query}"'
+        },
+        
+        'lang.current': 'Idioma: {name} ({code})',
+        'lang.auto': 'Elegido según los idiomas de tu navegador; `lang <código>` lo cambia.',
+        'lang.autoLabel': 'Seguir los idiomas del navegador',
+        'lang.set': 'Idioma cambiado a {name}',
+        'lang.unknown': 'lang: idioma desconocido \'{code}\' (disponibles: {codes})'
+    }
+};
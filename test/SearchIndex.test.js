@@ -0,0 +1,59 @@
+// Tests for js/modules/SearchIndex.js; run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildContentIndex, snippet, stem, tokenize } from '../js/modules/SearchIndex.js';
+
+// The parts of content/portfolio.json the index reads
+const content = {
+    name: 'Ada Example',
+    role: 'Developer',
+    bio: ['I build interactive websites.'],
+    skills: ['JavaScript', 'Three.js'],
+    sections: [
+        { id: 'about', title: 'About Me' },
+        { id: 'projects', title: 'Projects' },
+        { id: 'contact', title: 'Contact' }
+    ],
+    projects: [
+        { title: '3D Portfolio', description: 'A laptop that comes apart as you scroll.', tags: ['Three.js', 'Vite'] },
+        { title: 'Chat Server', description: 'Realtime messaging over WebSockets.', tags: ['Node.js'] }
+    ],
+    contact: { email: 'ada@example.com', links: [{ label: 'GitHub', url: 'https://github.com/ada' }] }
+};
+
+const search = query => buildContentIndex(content).search(query).map(({ document }) => document.id);
+
+test('search projects returns every project', () => {
+    assert.deepEqual(search('projects').sort(), ['projects/0', 'projects/1']);
+});
+
+test('the section title and the command are searchable', () => {
+    assert.deepEqual(search('about me'), ['about']);
+    assert.deepEqual(search('contact'), ['contact']);
+});
+
+test('a piece of a dotted name finds the whole name', () => {
+    assert.deepEqual(search('js').sort(), ['about', 'projects/0', 'projects/1']);
+    assert.deepEqual(search('node'), ['projects/1']);
+});
+
+test('every query word has to match', () => {
+    assert.deepEqual(search('projects websockets'), ['projects/1']);
+    assert.deepEqual(search('projects github'), []);
+});
+
+test('a missing location is left out of the text', () => {
+    const [about] = buildContentIndex(content).documents;
+    assert.ok(about.text.startsWith('Ada Example, Developer.'));
+});
+
+test('tokenize keeps the stems of the parts of a dotted name', () => {
+    const [token] = tokenize('Three.js');
+    assert.equal(token.term, 'three.js');
+    assert.deepEqual(token.parts, [stem('three'), 'js']);
+});
+
+test('snippet marks a dotted name found by one of its parts', () => {
+    const terms = new Set(['js']);
+    assert.equal(snippet('Built with Three.js', terms, { mark: word => `[${word}]` }), 'Built with [Three.js]');
+});
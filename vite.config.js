@@ -1,6 +1,7 @@
 // vite.config.js
 import { defineConfig } from 'vite'
 import { resolve } from 'node:path'
+import contentPlugin from './build/contentPlugin.js'
 
 export default defineConfig({
   // On Vercel use the root path. (If you deploy to GitHub Pages, switch to './')
@@ -15,11 +16,15 @@ export default defineConfig({
     // Use Vite's default fast minifier
     minify: 'esbuild',
     rollupOptions: {
-      input: { main: resolve(process.cwd(), 'index.html') },
+      input: {
+        main: resolve(process.cwd(), 'index.html'),
+        // Both pages are rendered from content/portfolio.json
+        user: resolve(process.cwd(), 'user.html'),
+        computer: resolve(process.cwd(), 'computer.html')
+      },
       output: {
         manualChunks: {
-          three: ['three'],
-          anime: ['animejs']
+          three: ['three']
         }
       }
     }
@@ -29,9 +34,9 @@ export default defineConfig({
   assetsInclude: ['**/*.glb', '**/*.gltf'],
 
   // Pre-bundle deps (optional, harmless)
-  optimizeDeps: { include: ['three', 'animejs'] },
+  optimizeDeps: { include: ['three'] },
 
-  plugins: [],
+  plugins: [contentPlugin()],
 
   css: { devSourcemap: true }
 })